@@ -0,0 +1,71 @@
+require('dotenv').config();
+
+// Exchange rates used to compare salaries across currencies. Salaries are
+// converted into SALARY_BASE_CURRENCY (USD by default). Override or extend
+// the table with CURRENCY_RATES, a JSON object of how much one unit of each
+// currency is worth in the base currency, e.g. {"EUR": 1.1, "GBP": 1.3}.
+
+// Approximate value of one unit in USD
+const DEFAULT_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  CHF: 1.12,
+  CAD: 0.73,
+  AUD: 0.66,
+  NZD: 0.6,
+  SGD: 0.74,
+  JPY: 0.0067,
+  INR: 0.012,
+  SEK: 0.095,
+  NOK: 0.093,
+  DKK: 0.145,
+  PLN: 0.25,
+  BRL: 0.18,
+  MXN: 0.055,
+  ZAR: 0.054
+};
+
+const BASE_CURRENCY = (process.env.SALARY_BASE_CURRENCY || 'USD').toUpperCase();
+
+const parseOverrides = () => {
+  if (!process.env.CURRENCY_RATES) return {};
+
+  try {
+    const overrides = JSON.parse(process.env.CURRENCY_RATES);
+    return Object.fromEntries(
+      Object.entries(overrides)
+        .filter(([, rate]) => typeof rate === 'number' && rate > 0)
+        .map(([currency, rate]) => [currency.toUpperCase(), rate])
+    );
+  } catch (err) {
+    console.error('Ignoring CURRENCY_RATES, it is not valid JSON:', err.message);
+    return {};
+  }
+};
+
+const buildRates = () => {
+  const overrides = parseOverrides();
+
+  // Rebase the USD table when another base currency is configured
+  const baseInUsd = DEFAULT_RATES[BASE_CURRENCY];
+  const rates = baseInUsd
+    ? Object.fromEntries(Object.entries(DEFAULT_RATES).map(([currency, rate]) => [currency, rate / baseInUsd]))
+    : {};
+
+  return { ...rates, ...overrides, [BASE_CURRENCY]: 1 };
+};
+
+const rates = buildRates();
+
+// Value of one unit of currency in the base currency, or undefined
+const getRate = (currency) => rates[String(currency || '').toUpperCase()];
+
+const isSupportedCurrency = (currency) => getRate(currency) !== undefined;
+
+module.exports = {
+  BASE_CURRENCY,
+  getRate,
+  isSupportedCurrency,
+  currencies: Object.keys(rates)
+};
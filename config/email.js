@@ -1,72 +1,109 @@
-// const nodemailer = require('nodemailer');
-
-// const sendEmail = async (options) => {
-//   // Create reusable transporter object using SMTP transport
-//   const transporter = nodemailer.createTransport({
-//     host: process.env.SMTP_HOST || 'smtp.gmail.com',
-//     port: process.env.SMTP_PORT || 587, // Use 587 instead of 465
-//     secure: false, // true for 465, false for other ports
-//     auth: {
-//       user: process.env.SMTP_EMAIL,
-//       pass: process.env.SMTP_PASSWORD,
-//     },
-//   });
-
-//   // Define email options
-//   const mailOptions = {
-//     from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
-//     to: options.email,
-//     subject: options.subject,
-//     text: options.message,
-//   };
-
-//   try {
-//     await transporter.sendMail(mailOptions);
-//   } catch (err) {
-//     console.error('Email send error:', err);
-//     throw new Error('Email could not be sent');
-//   }
-// };
-
-// module.exports = sendEmail;
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+require('dotenv').config();
 
+// Email transports. Pick one with EMAIL_TRANSPORT:
+//   smtp   - real delivery (default)
+//   json   - writes each message to EMAIL_FILE_DIR as JSON, for development
+//   memory - keeps messages in memory, for tests
 
-const nodemailer = require('nodemailer');
-require('dotenv').config()
+const createSmtpTransport = () => {
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
 
-const sendEmail = async (options) => {
-  // 1. Create transporter using Gmail service
   const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    host: 'smtp.gmail.com',
-    port: 587,
-    secure: false, // true for 465, false for other ports
+    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
     auth: {
-      user: process.env.SMTP_EMAIL, // Your Gmail address
-      pass: process.env.SMTP_PASSWORD // Your App Password (not your regular Gmail password)
+      user: process.env.SMTP_EMAIL,
+      pass: process.env.SMTP_PASSWORD
     },
     tls: {
-      rejectUnauthorized: false // For local development only - remove in production
+      // Only for local SMTP servers with self-signed certificates
+      rejectUnauthorized: process.env.SMTP_ALLOW_SELF_SIGNED !== 'true'
     }
   });
 
-  // 2. Define email options
-  const mailOptions = {
-    from: `"${process.env.FROM_NAME}" <${process.env.FROM_EMAIL}>`,
-    to: options.email,
-    subject: options.subject,
-    text: options.message,
-    html: `<p>${options.message}</p>`
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const createJsonTransport = () => {
+  const outputDir = process.env.EMAIL_FILE_DIR || path.join(__dirname, '../tmp/emails');
+
+  return {
+    name: 'json',
+    send: async (message) => {
+      await fs.mkdir(outputDir, { recursive: true });
+      const messageId = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+      await fs.writeFile(
+        path.join(outputDir, `${messageId}.json`),
+        JSON.stringify({ messageId, date: new Date(), ...message }, null, 2)
+      );
+      return { messageId };
+    }
+  };
+};
+
+const createMemoryTransport = () => {
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages,
+    send: async (message) => {
+      const messageId = `memory-${messages.length + 1}`;
+      messages.push({ messageId, ...message });
+      return { messageId };
+    },
+    clear: () => {
+      messages.length = 0;
+    }
   };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  json: createJsonTransport,
+  memory: createMemoryTransport
+};
 
-  // 3. Send email
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log('Email sent successfully');
-  } catch (error) {
-    console.error('Email send error:', error);
-    throw new Error(`Email could not be sent: ${error.message}`);
+let transport;
+
+// The configured transport, created on first use
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.EMAIL_TRANSPORT || 'smtp';
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+    }
+
+    transport = factory();
   }
+
+  return transport;
+};
+
+// Swap the transport at runtime, e.g. to a memory transport in tests
+const setTransport = (nameOrTransport) => {
+  transport = typeof nameOrTransport === 'string'
+    ? transportFactories[nameOrTransport]()
+    : nameOrTransport;
+  return transport;
 };
 
-module.exports = sendEmail;
\ No newline at end of file
+const fromAddress = () => `"${process.env.FROM_NAME || 'CareerPilot'}" <${process.env.FROM_EMAIL}>`;
+
+module.exports = {
+  getTransport,
+  setTransport,
+  fromAddress
+};
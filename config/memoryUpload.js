@@ -0,0 +1,24 @@
+const multer = require('multer');
+const path = require('path');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Uploads that are parsed straight away and never stored, kept in memory.
+// Files are matched by extension because browsers report inconsistent
+// mimetypes for formats like .eml.
+const memoryUpload = ({ extensions, maxSize = 5 * 1024 * 1024 }) => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxSize
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (extensions.includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new ErrorResponse(`Invalid file type. Only ${extensions.join(', ')} files are allowed.`, 400), false);
+    }
+  }
+});
+
+module.exports = memoryUpload;
@@ -0,0 +1,67 @@
+// The skill taxonomy a new installation starts from. backfillSkills.js adds
+// any of these that are missing; after that admins maintain the taxonomy
+// through /api/skills.
+//
+// `related` lists canonical names of other skills in this file.
+
+const SKILL_CATEGORIES = ['language', 'framework', 'database', 'cloud', 'devops', 'tool', 'practice', 'soft', 'other'];
+
+const DEFAULT_SKILLS = [
+  { name: 'JavaScript', category: 'language', aliases: ['JS', 'ECMAScript', 'ES6'], related: ['TypeScript', 'Node.js', 'React'] },
+  { name: 'TypeScript', category: 'language', aliases: ['TS'], related: ['JavaScript'] },
+  { name: 'Python', category: 'language', aliases: ['Python 3'], related: ['Django', 'Flask'] },
+  { name: 'Java', category: 'language', aliases: [], related: [] },
+  { name: 'PHP', category: 'language', aliases: [], related: [] },
+  { name: 'Ruby', category: 'language', aliases: [], related: ['Ruby on Rails'] },
+  { name: 'SQL', category: 'language', aliases: [], related: ['PostgreSQL', 'MySQL'] },
+  { name: 'HTML', category: 'language', aliases: ['HTML5'], related: ['CSS', 'JavaScript'] },
+  { name: 'CSS', category: 'language', aliases: ['CSS3'], related: ['HTML'] },
+
+  { name: 'Node.js', category: 'framework', aliases: ['Node'], related: ['JavaScript', 'Express'] },
+  { name: 'Express', category: 'framework', aliases: ['Express.js', 'ExpressJS'], related: ['Node.js'] },
+  { name: 'React', category: 'framework', aliases: ['React.js', 'ReactJS'], related: ['JavaScript', 'TypeScript'] },
+  { name: 'Vue.js', category: 'framework', aliases: ['Vue'], related: ['JavaScript'] },
+  { name: 'Angular', category: 'framework', aliases: ['AngularJS'], related: ['TypeScript'] },
+  { name: 'Ruby on Rails', category: 'framework', aliases: ['Rails', 'RoR'], related: ['Ruby'] },
+  { name: 'Django', category: 'framework', aliases: [], related: ['Python'] },
+  { name: 'Flask', category: 'framework', aliases: [], related: ['Python'] },
+  { name: 'GraphQL', category: 'framework', aliases: [], related: ['REST'] },
+  { name: 'REST', category: 'practice', aliases: ['RESTful', 'REST API', 'REST APIs'], related: ['API'] },
+  { name: 'API', category: 'practice', aliases: ['APIs', 'API design'], related: ['REST', 'GraphQL'] },
+
+  { name: 'MongoDB', category: 'database', aliases: ['Mongo'], related: ['NoSQL'] },
+  { name: 'PostgreSQL', category: 'database', aliases: ['Postgres'], related: ['SQL'] },
+  { name: 'MySQL', category: 'database', aliases: [], related: ['SQL'] },
+  { name: 'NoSQL', category: 'database', aliases: [], related: ['MongoDB', 'Redis'] },
+  { name: 'Redis', category: 'database', aliases: [], related: ['NoSQL'] },
+
+  { name: 'AWS', category: 'cloud', aliases: ['Amazon Web Services'], related: [] },
+  { name: 'Docker', category: 'devops', aliases: [], related: ['Kubernetes'] },
+  { name: 'Kubernetes', category: 'devops', aliases: ['K8s'], related: ['Docker'] },
+  { name: 'Linux', category: 'devops', aliases: [], related: [] },
+  { name: 'Nginx', category: 'devops', aliases: [], related: [] },
+  { name: 'Jenkins', category: 'devops', aliases: [], related: ['CI/CD'] },
+  { name: 'CI/CD', category: 'devops', aliases: ['CICD', 'Continuous Integration', 'Continuous Delivery', 'Continuous Deployment'], related: ['Jenkins'] },
+  { name: 'Git', category: 'tool', aliases: [], related: [] },
+
+  { name: 'Agile', category: 'practice', aliases: [], related: ['Scrum'] },
+  { name: 'Scrum', category: 'practice', aliases: [], related: ['Agile'] },
+
+  { name: 'Leadership', category: 'soft', aliases: [], related: ['Mentoring'] },
+  { name: 'Communication', category: 'soft', aliases: ['Communication skills'], related: ['Presentation'] },
+  { name: 'Teamwork', category: 'soft', aliases: ['Team player'], related: ['Collaboration'] },
+  { name: 'Problem-solving', category: 'soft', aliases: [], related: ['Critical thinking'] },
+  { name: 'Adaptability', category: 'soft', aliases: [], related: [] },
+  { name: 'Creativity', category: 'soft', aliases: [], related: [] },
+  { name: 'Time management', category: 'soft', aliases: [], related: [] },
+  { name: 'Critical thinking', category: 'soft', aliases: [], related: ['Problem-solving'] },
+  { name: 'Collaboration', category: 'soft', aliases: [], related: ['Teamwork'] },
+  { name: 'Presentation', category: 'soft', aliases: ['Public speaking'], related: ['Communication'] },
+  { name: 'Mentoring', category: 'soft', aliases: ['Coaching'], related: ['Leadership'] },
+  { name: 'Negotiation', category: 'soft', aliases: [], related: [] }
+];
+
+module.exports = {
+  SKILL_CATEGORIES,
+  DEFAULT_SKILLS
+};
@@ -0,0 +1,132 @@
+const path = require('path');
+const fs = require('fs');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const AIInsight = require('../models/AiInsight');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { sendEmail } = require('../utils/email');
+
+const gracePeriodDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+// Profile fields included in the data archive; tokens and hashes stay out
+const PROFILE_FIELDS = [
+  '_id', 'name', 'email', 'avatar', 'role', 'bio', 'location', 'jobTitle',
+  'skills', 'phone', 'education', 'website', 'emailVerified', 'twoFactorEnabled',
+  'createdAt', 'lastLogin', 'resume', 'deletionScheduledAt'
+];
+
+// @desc    Download a ZIP archive of all personal data
+// @route   GET /api/account/export
+// @access  Private
+exports.exportAccountData = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  const [applications, jobs, insights] = await Promise.all([
+    Application.find({ user: user._id }).populate('job', 'title company location'),
+    Job.find({ postedBy: user._id }),
+    AIInsight.find({ user: user._id }).sort('-generatedAt')
+  ]);
+
+  const profile = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (user[field] !== undefined) profile[field] = user[field];
+  });
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const toJson = (data) => JSON.stringify(data, null, 2);
+
+  archive.on('warning', err => console.error('Archive warning:', err));
+  archive.on('error', err => {
+    console.error('Archive error:', err);
+    res.destroy(err);
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`careerpilot-data-${date}.zip`);
+  archive.pipe(res);
+
+  archive.append(toJson(profile), { name: 'profile.json' });
+  archive.append(toJson(applications), { name: 'applications.json' });
+  archive.append(toJson(jobs), { name: 'jobs-posted.json' });
+  archive.append(toJson(insights), { name: 'ai-insights.json' });
+
+  if (user.resume && user.resume.fileUrl) {
+    const resumePath = path.join(__dirname, '..', user.resume.fileUrl);
+    if (fs.existsSync(resumePath)) {
+      const fileName = user.resume.fileName || path.basename(resumePath);
+      archive.file(resumePath, { name: `resume/${path.basename(fileName)}` });
+    }
+  }
+
+  await archive.finalize();
+});
+
+// @desc    Schedule account deletion after a grace period
+// @route   DELETE /api/account
+// @access  Private
+exports.deleteAccount = asyncHandler(async (req, res, next) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return next(new ErrorResponse('Please confirm your password to delete your account', 400));
+  }
+
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (!(await user.comparePassword(password))) {
+    return next(new ErrorResponse('Password is incorrect', 401));
+  }
+
+  if (user.deletionScheduledAt) {
+    return next(new ErrorResponse('Account deletion is already scheduled', 400));
+  }
+
+  user.deletionRequestedAt = Date.now();
+  user.deletionScheduledAt = Date.now() + gracePeriodDays() * 24 * 60 * 60 * 1000;
+  await user.save({ validateBeforeSave: false });
+
+  await Session.revokeAllForUser(user._id, 'account_deletion');
+
+  await sendEmail('accountDeletionScheduled', {
+    to: user.email,
+    data: {
+      name: user.name,
+      deletionDate: user.deletionScheduledAt.toDateString()
+    }
+  });
+
+  res
+  .status(200)
+  .clearCookie('token')
+  .clearCookie('refreshToken', { path: '/api/auth' })
+  .json({
+    success: true,
+    data: {
+      deletionScheduledAt: user.deletionScheduledAt
+    }
+  });
+});
+
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/account/cancel-deletion
+// @access  Private
+exports.cancelAccountDeletion = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.deletionScheduledAt) {
+    return next(new ErrorResponse('No account deletion is scheduled', 400));
+  }
+
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledAt = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Account deletion cancelled'
+  });
+});
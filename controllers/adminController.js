@@ -0,0 +1,525 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const AIInsight = require('../models/AiInsight');
+const AuditLog = require('../models/AuditLog');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const escapeRegex = require('../utils/escapeRegex');
+const { sendEmail } = require('../utils/email');
+const recordAudit = require('../utils/audit');
+const { findDuplicateJobs, mergeDuplicateJobs } = require('../utils/jobDuplicates');
+
+const ROLES = User.schema.path('role').enumValues;
+
+// A query parameter that must be a plain string. Repeated or bracketed
+// parameters (?a=1&a=2, ?a[$ne]=1) arrive as arrays or objects and are
+// rejected rather than passed on to a query.
+const stringParam = (req, name) => {
+  const value = req.query[name];
+  if (value !== undefined && typeof value !== 'string') {
+    throw new ErrorResponse(`Invalid ${name} parameter`, 400);
+  }
+  return value;
+};
+
+// Count applications and posted jobs for a set of users in two queries
+const getUsageCounts = async (userIds) => {
+  const [applications, jobs] = await Promise.all([
+    Application.aggregate([
+      { $match: { user: { $in: userIds } } },
+      { $group: { _id: '$user', count: { $sum: 1 } } }
+    ]),
+    Job.aggregate([
+      { $match: { postedBy: { $in: userIds } } },
+      { $group: { _id: '$postedBy', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const counts = {};
+  userIds.forEach(id => {
+    counts[id.toString()] = { applications: 0, jobsPosted: 0 };
+  });
+  applications.forEach(row => {
+    counts[row._id.toString()].applications = row.count;
+  });
+  jobs.forEach(row => {
+    counts[row._id.toString()].jobsPosted = row.count;
+  });
+
+  return counts;
+};
+
+// @desc    List, search and paginate users
+// @route   GET /api/admin/users
+// @access  Private/Admin
+exports.getUsers = asyncHandler(async (req, res, next) => {
+  const search = stringParam(req, 'search');
+  const role = stringParam(req, 'role');
+  const status = stringParam(req, 'status');
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  if (role && !ROLES.includes(role)) {
+    return next(new ErrorResponse(`Role must be one of: ${ROLES.join(', ')}`, 400));
+  }
+
+  const query = {};
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    query.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  if (role) query.role = role;
+  if (status === 'suspended') query.suspended = true;
+  if (status === 'active') query.suspended = { $ne: true };
+
+  const sortOptions = {
+    newest: '-createdAt',
+    oldest: 'createdAt',
+    name: 'name',
+    lastLogin: '-lastLogin'
+  };
+  const sort = sortOptions[stringParam(req, 'sort')] || sortOptions.newest;
+
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .select('-resume.textContent')
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(query)
+  ]);
+
+  const counts = await getUsageCounts(users.map(user => user._id));
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: users.map(user => ({
+      ...user.toObject(),
+      stats: counts[user._id.toString()]
+    }))
+  });
+});
+
+// @desc    Get a single user with usage stats
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin
+exports.getUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id).select('-resume.textContent');
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  const userId = new mongoose.Types.ObjectId(req.params.id);
+
+  const [applicationsByStatus, jobsPosted, resumeAnalyses, activeSessions] = await Promise.all([
+    Application.aggregate([
+      { $match: { user: userId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Job.countDocuments({ postedBy: userId }),
+    AIInsight.countDocuments({ user: userId, type: 'resume_analysis' }),
+    Session.countDocuments({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() }
+    })
+  ]);
+
+  const applications = { total: 0 };
+  applicationsByStatus.forEach(row => {
+    applications[row._id] = row.count;
+    applications.total += row.count;
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      user,
+      stats: {
+        applications,
+        jobsPosted,
+        resume: {
+          uploaded: !!(user.resume && user.resume.fileUrl),
+          fileName: user.resume?.fileName,
+          uploadedAt: user.resume?.uploadedAt,
+          analyses: resumeAnalyses
+        },
+        activeSessions
+      }
+    }
+  });
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private/Admin
+exports.updateUserRole = asyncHandler(async (req, res, next) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return next(new ErrorResponse(`Role must be one of: ${ROLES.join(', ')}`, 400));
+  }
+
+  if (req.params.id === req.user.id) {
+    return next(new ErrorResponse('You cannot change your own role', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAudit(req, 'role_changed', {
+    user: user._id,
+    actor: req.user._id,
+    metadata: { from: previousRole, to: role }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Suspend a user account
+// @route   PUT /api/admin/users/:id/suspend
+// @access  Private/Admin
+exports.suspendUser = asyncHandler(async (req, res, next) => {
+  if (req.params.id === req.user.id) {
+    return next(new ErrorResponse('You cannot suspend your own account', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  user.suspended = true;
+  user.suspendedAt = Date.now();
+  user.suspendedReason = req.body.reason || '';
+  await user.save({ validateBeforeSave: false });
+
+  await Session.revokeAllForUser(user._id, 'account_suspended');
+
+  await recordAudit(req, 'account_suspended', {
+    user: user._id,
+    actor: req.user._id,
+    metadata: { reason: user.suspendedReason }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Reactivate a suspended user account
+// @route   PUT /api/admin/users/:id/reactivate
+// @access  Private/Admin
+exports.reactivateUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  user.suspended = false;
+  user.suspendedAt = undefined;
+  user.suspendedReason = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAudit(req, 'account_reactivated', { user: user._id, actor: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Force a user to reset their password
+// @route   POST /api/admin/users/:id/force-password-reset
+// @access  Private/Admin
+exports.forcePasswordReset = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  const resetCode = user.getResetPasswordCode();
+  user.passwordResetRequired = true;
+  await user.save({ validateBeforeSave: false });
+
+  await Session.revokeAllForUser(user._id, 'password_reset_forced');
+
+  await recordAudit(req, 'password_reset_forced', { user: user._id, actor: req.user._id });
+
+  await sendEmail('passwordResetRequired', {
+    to: user.email,
+    data: { name: user.name, code: resetCode }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password reset required and sessions revoked'
+  });
+});
+
+// @desc    Resend the verification email for a user
+// @route   POST /api/admin/users/:id/resend-verification
+// @access  Private/Admin
+exports.resendUserVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  if (user.emailVerified) {
+    return next(new ErrorResponse('Email already verified', 400));
+  }
+
+  const verifyToken = user.getEmailVerifyToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendEmail('verifyEmail', {
+    to: user.email,
+    data: {
+      name: user.name,
+      verifyUrl: `${process.env.FRONTEND_URL}/verify-email?token=${verifyToken}`
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
+
+// @desc    Query the security audit log across users
+// @route   GET /api/admin/audit-logs
+// @access  Private/Admin
+exports.getAuditLogs = asyncHandler(async (req, res, next) => {
+  const { event } = req.query;
+  const user = stringParam(req, 'user');
+  const from = stringParam(req, 'from');
+  const to = stringParam(req, 'to');
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const query = {};
+
+  if (event) {
+    // Either ?event=a,b or ?event=a&event=b
+    if (![].concat(event).every(value => typeof value === 'string')) {
+      return next(new ErrorResponse('Invalid event parameter', 400));
+    }
+    const events = [].concat(event).join(',').split(',');
+    const invalidEvents = events.filter(name => !AuditLog.EVENTS.includes(name));
+    if (invalidEvents.length > 0) {
+      return next(new ErrorResponse(`Unknown event type: ${invalidEvents.join(', ')}`, 400));
+    }
+    query.event = { $in: events };
+  }
+
+  if (user) {
+    if (!mongoose.isValidObjectId(user)) {
+      return next(new ErrorResponse('Invalid user parameter', 400));
+    }
+    query.user = user;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+
+    if (Object.values(query.createdAt).some(date => isNaN(date))) {
+      return next(new ErrorResponse('Invalid date range', 400));
+    }
+  }
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(query)
+      .populate('user', 'name email')
+      .populate('actor', 'name email')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditLog.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: logs.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: logs
+  });
+});
+
+// @desc    List recruiter applications
+// @route   GET /api/admin/recruiter-applications
+// @access  Private/Admin
+exports.getRecruiterApplications = asyncHandler(async (req, res, next) => {
+  const status = stringParam(req, 'status') || 'pending';
+
+  const users = await User.find({ 'recruiterApplication.status': status })
+    .select('name email role recruiterApplication createdAt')
+    .sort('recruiterApplication.submittedAt');
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    data: users
+  });
+});
+
+// @desc    Approve or reject a recruiter application
+// @route   PUT /api/admin/recruiter-applications/:id
+// @access  Private/Admin
+exports.reviewRecruiterApplication = asyncHandler(async (req, res, next) => {
+  const { decision, note } = req.body;
+
+  if (!['approve', 'reject'].includes(decision)) {
+    return next(new ErrorResponse('Decision must be approve or reject', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  if (!user.recruiterApplication || user.recruiterApplication.status !== 'pending') {
+    return next(new ErrorResponse('This user has no pending recruiter application', 400));
+  }
+
+  const approved = decision === 'approve';
+  const previousRole = user.role;
+
+  user.recruiterApplication.status = approved ? 'approved' : 'rejected';
+  user.recruiterApplication.reviewedAt = Date.now();
+  user.recruiterApplication.reviewedBy = req.user._id;
+  user.recruiterApplication.reviewNote = note;
+  if (approved && user.role === 'user') {
+    user.role = 'recruiter';
+  }
+  await user.save({ validateBeforeSave: false });
+
+  if (user.role !== previousRole) {
+    await recordAudit(req, 'role_changed', {
+      user: user._id,
+      actor: req.user._id,
+      metadata: { from: previousRole, to: user.role, reason: 'recruiter_application' }
+    });
+  }
+
+  await sendEmail(approved ? 'recruiterApproved' : 'recruiterRejected', {
+    to: user.email,
+    data: {
+      name: user.name,
+      company: user.recruiterApplication.company,
+      note
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    List likely duplicates of a job posting
+// @route   GET /api/admin/jobs/:id/duplicates
+// @access  Private/Admin
+exports.getJobDuplicates = asyncHandler(async (req, res, next) => {
+  const job = await Job.findById(req.params.id);
+
+  if (!job) {
+    return next(new ErrorResponse('Job not found', 404));
+  }
+
+  const duplicates = await findDuplicateJobs(job, { limit: 20 });
+
+  res.status(200).json({
+    success: true,
+    count: duplicates.length,
+    data: duplicates
+  });
+});
+
+// @desc    Merge duplicate job postings into one
+// @route   POST /api/admin/jobs/:id/merge
+// @access  Private/Admin
+exports.mergeJobs = asyncHandler(async (req, res, next) => {
+  const duplicateIds = [...new Set([].concat(req.body.duplicateIds || []).map(String))];
+
+  if (duplicateIds.length === 0) {
+    return next(new ErrorResponse('Please provide the duplicate job ids to merge', 400));
+  }
+
+  if (duplicateIds.includes(req.params.id)) {
+    return next(new ErrorResponse('A job cannot be merged into itself', 400));
+  }
+
+  if (!duplicateIds.every(id => mongoose.isValidObjectId(id))) {
+    return next(new ErrorResponse('Invalid job id', 400));
+  }
+
+  const [target, duplicates] = await Promise.all([
+    Job.findById(req.params.id),
+    Job.find({ _id: { $in: duplicateIds } })
+  ]);
+
+  if (!target) {
+    return next(new ErrorResponse('Job not found', 404));
+  }
+
+  if (duplicates.length !== duplicateIds.length) {
+    return next(new ErrorResponse('One or more duplicate jobs were not found', 404));
+  }
+
+  const result = await mergeDuplicateJobs(target, duplicates);
+
+  await recordAudit(req, 'jobs_merged', {
+    actor: req.user._id,
+    metadata: {
+      job: target._id,
+      merged: duplicates.map(job => ({ id: job._id, title: job.title, company: job.company })),
+      ...result
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      job: await Job.findById(target._id),
+      merged: duplicateIds,
+      ...result
+    }
+  });
+});
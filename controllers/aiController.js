@@ -4,15 +4,18 @@ const AIInsight = require('../models/AiInsight');
 const Application = require('../models/Application');
 const Job = require('../models/Job');
 const User = require('../models/User');
+const notify = require('../utils/notify');
+const { findSkills, lookupSkill, canonicalizeSkills, getSkillIndex } = require('../utils/skills');
+const skillKey = require('../utils/skillKey');
 const natural = require('natural');
 const { WordTokenizer } = natural;
 const tokenizer = new WordTokenizer();
 
 // Enhanced AI Service with better mock data
 const aiService = {
-  analyzeResume: async (resumeText, userProfile) => {
+  analyzeResume: async (resumeText, userProfile, skillIndex) => {
     // Extract key information from resume
-    const skills = extractSkills(resumeText);
+    const skills = extractSkills(resumeText, skillIndex);
     const experience = extractExperience(resumeText);
     const education = extractEducation(resumeText);
     
@@ -40,17 +43,13 @@ const aiService = {
     };
   },
 
-  findJobMatches: async (userProfile, jobs) => {
-    const userSkills = userProfile.skills || [];
+  findJobMatches: async (userProfile, jobs, skillIndex) => {
+    const userSkills = canonicalizeSkills(userProfile.skills || [], skillIndex);
     
     return jobs.map(job => {
-      const jobSkills = job.skills || [];
-      const matchingSkills = userSkills.filter(userSkill =>
-        jobSkills.some(jobSkill =>
-          jobSkill.toLowerCase().includes(userSkill.toLowerCase()) ||
-          userSkill.toLowerCase().includes(jobSkill.toLowerCase())
-        )
-      );
+      const jobSkills = canonicalizeSkills(job.skills || [], skillIndex);
+      const jobSkillKeys = new Set(jobSkills.map(skillKey));
+      const matchingSkills = userSkills.filter(userSkill => jobSkillKeys.has(skillKey(userSkill)));
 
       const matchScore = jobSkills.length > 0
         ? Math.min(Math.floor((matchingSkills.length / jobSkills.length) * 100) + 20, 95)
@@ -92,26 +91,14 @@ const aiService = {
 };
 
 // Helper functions
-const extractSkills = (text) => {
-  const technicalKeywords = [
-    'javascript', 'python', 'java', 'react', 'node', 'express', 'mongodb',
-    'sql', 'aws', 'docker', 'kubernetes', 'typescript', 'html', 'css',
-    'vue', 'angular', 'php', 'ruby', 'rails', 'django', 'flask', 'git',
-    'rest', 'api', 'graphql', 'postgresql', 'mysql', 'nosql', 'redis',
-    'linux', 'nginx', 'jenkins', 'ci/cd', 'agile', 'scrum'
-  ];
-
-  const softKeywords = [
-    'leadership', 'communication', 'teamwork', 'problem-solving',
-    'adaptability', 'creativity', 'time management', 'critical thinking',
-    'collaboration', 'presentation', 'mentoring', 'negotiation'
-  ];
-
-  const tokens = tokenizer.tokenize(text.toLowerCase()) || [];
-  const technical = [...new Set(tokens.filter(token => technicalKeywords.includes(token)))];
-  const soft = [...new Set(tokens.filter(token => softKeywords.includes(token)))];
+const extractSkills = (text, index) => {
+  const found = findSkills(text, { index, includeSoft: true });
+  const isSoft = (skill) => lookupSkill(skill, index)?.category === 'soft';
 
-  return { technical, soft };
+  return {
+    technical: found.filter(skill => !isSoft(skill)),
+    soft: found.filter(isSoft)
+  };
 };
 
 const extractExperience = (text) => {
@@ -163,6 +150,29 @@ const calculateResumeScore = (text, skills, experience, education) => {
   return Math.min(Math.max(score, 0), 100);
 };
 
+const INSIGHT_TITLES = {
+  resume_analysis: 'Your resume analysis is ready',
+  job_match: 'Your job matches are ready',
+  interview_prep: 'Your interview prep is ready',
+  skill_gap: 'Your skill gap analysis is ready',
+  career_path: 'Your career path insight is ready'
+};
+
+// Store a finished insight and let the user know it is ready
+const saveInsight = async (data) => {
+  const insight = await AIInsight.create(data);
+
+  await notify(data.user, {
+    type: 'ai_insight',
+    title: INSIGHT_TITLES[data.type],
+    message: data.recommendations && data.recommendations.length > 0 ? data.recommendations[0] : '',
+    link: '/ai',
+    data: { insight: insight._id, insightType: data.type }
+  });
+
+  return insight;
+};
+
 // AI Controller functions
 exports.analyzeResume = asyncHandler(async (req, res, next) => {
   const user = await User.findById(req.user.id);
@@ -177,9 +187,9 @@ exports.analyzeResume = asyncHandler(async (req, res, next) => {
     education: user.education || ''
   };
 
-  const analysis = await aiService.analyzeResume(user.resume.textContent, userProfile);
+  const analysis = await aiService.analyzeResume(user.resume.textContent, userProfile, await getSkillIndex());
 
-  const insight = await AIInsight.create({
+  const insight = await saveInsight({
     user: req.user.id,
     type: 'resume_analysis',
     insights: analysis,
@@ -199,22 +209,23 @@ exports.analyzeResume = asyncHandler(async (req, res, next) => {
 
 exports.getJobMatches = asyncHandler(async (req, res, next) => {
   const user = await User.findById(req.user.id);
-  const jobs = await Job.find().limit(20);
+  const jobs = await Job.find({ visibility: { $ne: 'private' }, ...Job.openFilter() }).limit(20);
   
   if (!user.resume || !user.resume.textContent) {
     return next(new ErrorResponse('No resume found. Please upload a resume first.', 400));
   }
 
-  const userSkills = extractSkills(user.resume.textContent).technical;
+  const skillIndex = await getSkillIndex();
+  const userSkills = extractSkills(user.resume.textContent, skillIndex).technical;
   const userProfile = {
     skills: userSkills,
     experience: user.experience || '',
     education: user.education || ''
   };
 
-  const matches = await aiService.findJobMatches(userProfile, jobs);
+  const matches = await aiService.findJobMatches(userProfile, jobs, skillIndex);
 
-  const insight = await AIInsight.create({
+  const insight = await saveInsight({
     user: req.user.id,
     type: 'job_match',
     insights: { matches },
@@ -232,13 +243,13 @@ exports.prepareForInterview = asyncHandler(async (req, res, next) => {
   const { jobId } = req.body;
   
   const job = await Job.findById(jobId);
-  if (!job) {
+  if (!job || !job.isVisibleTo(req.user)) {
     return next(new ErrorResponse('Job not found', 404));
   }
 
   const preparation = await aiService.prepareForInterview(job);
 
-  const insight = await AIInsight.create({
+  const insight = await saveInsight({
     user: req.user.id,
     type: 'interview_prep',
     insights: preparation,
@@ -292,29 +303,29 @@ exports.analyzeSkillGaps = asyncHandler(async (req, res, next) => {
   const user = await User.findById(req.user.id);
   const applications = await Application.find({ user: req.user.id }).populate('job');
   
-  const jobSkills = new Set();
-  applications.forEach(app => {
-    if (app.job && app.job.skills) {
-      app.job.skills.forEach(skill => jobSkills.add(skill.toLowerCase()));
-    }
-  });
+  const skillIndex = await getSkillIndex();
 
-  const userSkills = new Set();
-  if (user.resume && user.resume.textContent) {
-    const skills = extractSkills(user.resume.textContent);
-    skills.technical.forEach(skill => userSkills.add(skill.toLowerCase()));
-  }
-  
-  user.skills?.forEach(skill => userSkills.add(skill.toLowerCase()));
+  const jobSkills = canonicalizeSkills(
+    applications.flatMap(app => (app.job && app.job.skills) || []),
+    skillIndex
+  );
+
+  const userSkills = canonicalizeSkills([
+    ...(user.resume && user.resume.textContent ? extractSkills(user.resume.textContent, skillIndex).technical : []),
+    ...(user.skills || [])
+  ], skillIndex);
+
+  const jobSkillKeys = new Set(jobSkills.map(skillKey));
+  const userSkillKeys = new Set(userSkills.map(skillKey));
 
-  const missingSkills = Array.from(jobSkills).filter(skill => !userSkills.has(skill));
-  const strongSkills = Array.from(userSkills).filter(skill => jobSkills.has(skill));
+  const missingSkills = jobSkills.filter(skill => !userSkillKeys.has(skillKey(skill)));
+  const strongSkills = userSkills.filter(skill => jobSkillKeys.has(skillKey(skill)));
 
-  const insight = await AIInsight.create({
+  const insight = await saveInsight({
     user: req.user.id,
     type: 'skill_gap',
     insights: { missingSkills, strongSkills },
-    score: Math.floor((strongSkills.length / (jobSkills.size || 1)) * 100),
+    score: Math.floor((strongSkills.length / (jobSkills.length || 1)) * 100),
     recommendations: [
       `Focus on learning: ${missingSkills.slice(0, 3).join(', ')}`,
       'Consider online courses for missing skills',
@@ -2,6 +2,8 @@ const Job = require('../models/Job');
 const Application = require('../models/Application');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const { formatSalary } = require('../utils/salary');
+const { BASE_CURRENCY } = require('../config/currencyRates');
 
 // @desc    Get analytics dashboard data
 // @route   GET /api/analytics
@@ -67,25 +69,15 @@ exports.getAnalytics = asyncHandler(async (req, res, next) => {
     averageResponseTime = (totalResponseTime / respondedApplications.length).toFixed(1);
   }
 
-  // Calculate average salary from jobs with salary data
-  const jobsWithSalary = jobs.filter(job => job.salary && typeof job.salary === 'string' && job.salary.includes('$'));
+  // Average salary, comparing every posting as a yearly amount in the base
+  // currency (the midpoint of its range)
+  const annualSalaries = jobs
+    .filter(job => job.salaryAnnual && job.salaryAnnual.min !== undefined && job.salaryAnnual.min !== null)
+    .map(job => (job.salaryAnnual.min + job.salaryAnnual.max) / 2);
   let averageSalary = 0;
-  
-  if (jobsWithSalary.length > 0) {
-    const salaryNumbers = jobsWithSalary.map(job => {
-      // Extract numbers from salary strings like "$120,000 - $150,000"
-      const numbers = job.salary.match(/\d+/g);
-      if (numbers && numbers.length >= 2) {
-        return (parseInt(numbers[0]) + parseInt(numbers[1])) / 2; // Average of range
-      } else if (numbers && numbers.length === 1) {
-        return parseInt(numbers[0]); // Single value
-      }
-      return 0;
-    }).filter(val => val > 0);
-    
-    if (salaryNumbers.length > 0) {
-      averageSalary = Math.round(salaryNumbers.reduce((total, num) => total + num, 0) / salaryNumbers.length);
-    }
+
+  if (annualSalaries.length > 0) {
+    averageSalary = Math.round(annualSalaries.reduce((total, amount) => total + amount, 0) / annualSalaries.length);
   }
 
   // Status distribution
@@ -169,7 +161,7 @@ exports.getAnalytics = asyncHandler(async (req, res, next) => {
         interviewRate: `${interviewRate}%`,
         offerRate: `${offerRate}%`,
         averageResponseTime: `${averageResponseTime} days`,
-        averageSalary: averageSalary > 0 ? `$${averageSalary.toLocaleString()}` : 'N/A'
+        averageSalary: averageSalary > 0 ? formatSalary({ min: averageSalary, max: averageSalary, currency: BASE_CURRENCY, period: 'year' }) : 'N/A'
       },
       statusDistribution,
       monthlyData,
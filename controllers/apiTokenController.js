@@ -0,0 +1,114 @@
+const ApiToken = require('../models/ApiToken');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const recordAudit = require('../utils/audit');
+
+const MAX_TOKENS_PER_USER = 25;
+
+// @desc    List personal access tokens
+// @route   GET /api/tokens
+// @access  Private
+exports.getApiTokens = asyncHandler(async (req, res, next) => {
+  const tokens = await ApiToken.find({ user: req.user.id, revokedAt: null })
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: tokens.length,
+    data: tokens.map(token => ({
+      ...token.toObject(),
+      expired: !token.isUsable()
+    }))
+  });
+});
+
+// @desc    Create a personal access token
+// @route   POST /api/tokens
+// @access  Private
+exports.createApiToken = asyncHandler(async (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name || !Array.isArray(scopes)) {
+    return next(new ErrorResponse('Please provide a name and a list of scopes', 400));
+  }
+
+  const invalidScopes = scopes.filter(scope => !ApiToken.SCOPES.includes(scope));
+  if (invalidScopes.length > 0) {
+    return next(new ErrorResponse(`Invalid scope: ${invalidScopes.join(', ')}`, 400));
+  }
+
+  let expiresAt;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = parseInt(expiresInDays, 10);
+    if (!days || days < 1 || days > 365) {
+      return next(new ErrorResponse('Expiry must be between 1 and 365 days', 400));
+    }
+    expiresAt = Date.now() + days * 24 * 60 * 60 * 1000;
+  }
+
+  const tokenCount = await ApiToken.countDocuments({ user: req.user.id, revokedAt: null });
+  if (tokenCount >= MAX_TOKENS_PER_USER) {
+    return next(new ErrorResponse(`You can have at most ${MAX_TOKENS_PER_USER} active tokens`, 400));
+  }
+
+  const apiToken = new ApiToken({
+    user: req.user.id,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+  const token = apiToken.generateToken();
+  await apiToken.save();
+
+  await recordAudit(req, 'api_token_created', {
+    metadata: { token: apiToken._id, name: apiToken.name, scopes: apiToken.scopes }
+  });
+
+  const data = apiToken.toObject();
+  delete data.tokenHash;
+
+  res.status(201).json({
+    success: true,
+    // The raw token is only ever returned here
+    token,
+    data
+  });
+});
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/tokens/:id
+// @access  Private
+exports.revokeApiToken = asyncHandler(async (req, res, next) => {
+  const apiToken = await ApiToken.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!apiToken) {
+    return next(new ErrorResponse('Token not found', 404));
+  }
+
+  if (!apiToken.revokedAt) {
+    apiToken.revokedAt = Date.now();
+    await apiToken.save();
+
+    await recordAudit(req, 'api_token_revoked', {
+      metadata: { token: apiToken._id, name: apiToken.name }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    List the scopes a token can be given
+// @route   GET /api/tokens/scopes
+// @access  Private
+exports.getApiTokenScopes = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: ApiToken.SCOPES
+  });
+});
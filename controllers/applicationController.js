@@ -3,6 +3,8 @@ const Job = require('../models/Job');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
 
+const INTERVIEW_FIELDS = ['interviewDate', 'interviewTime', 'interviewType', 'interviewLocation'];
+
 // @desc    Create a new application
 // @route   POST /api/applications
 // @access  Private
@@ -14,7 +16,7 @@ exports.createApplication = asyncHandler(async (req, res, next) => {
   }
 
   const job = await Job.findById(jobId);
-  if (!job) {
+  if (!job || !job.isVisibleTo(req.user)) {
     return next(new ErrorResponse('Job not found', 404));
   }
 
@@ -44,13 +46,11 @@ exports.getApplications = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Update application status
+// @desc    Update application status and interview details
 // @route   PUT /api/applications/:id
 // @access  Private
 exports.updateApplication = asyncHandler(async (req, res, next) => {
-  const { status } = req.body;
-
-  let application = await Application.findById(req.params.id);
+  const application = await Application.findById(req.params.id);
 
   if (!application) {
     return next(new ErrorResponse('Application not found', 404));
@@ -60,11 +60,27 @@ exports.updateApplication = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to update this application', 403));
   }
 
-  application = await Application.findByIdAndUpdate(
-    req.params.id,
-    { status, updatedAt: Date.now() },
-    { new: true, runValidators: true }
-  );
+  const fieldsToUpdate = { status: req.body.status };
+  INTERVIEW_FIELDS.forEach(field => {
+    fieldsToUpdate[field] = req.body[field];
+  });
+
+  // Remove undefined fields; null clears an interview field
+  Object.keys(fieldsToUpdate).forEach(key => {
+    if (fieldsToUpdate[key] === undefined) {
+      delete fieldsToUpdate[key];
+    }
+  });
+
+  application.set(fieldsToUpdate);
+
+  // Moving or cancelling the interview, or leaving interviewing, moves or
+  // cancels its reminders
+  if ([...INTERVIEW_FIELDS, 'status'].some(field => application.isModified(field))) {
+    application.scheduleInterviewReminders(req.user.timezone);
+  }
+
+  await application.save();
 
   res.status(200).json({
     success: true,
@@ -0,0 +1,41 @@
+const AuditLog = require('../models/AuditLog');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+
+// @desc    Page through the current user's security events
+// @route   GET /api/audit
+// @access  Private
+exports.getMyAuditLog = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const query = { user: req.user.id };
+
+  if (req.query.event) {
+    if (!AuditLog.EVENTS.includes(req.query.event)) {
+      return next(new ErrorResponse(`Unknown event type: ${req.query.event}`, 400));
+    }
+    query.event = req.query.event;
+  }
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(query)
+      .select('-user -actor')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditLog.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: logs.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: logs
+  });
+});
@@ -1,21 +1,88 @@
 const ErrorResponse = require('../utils/errorResponse');
 const User = require('../models/User');
-const sendEmail = require('../config/email');
+const Session = require('../models/Session');
+const AuthThrottle = require('../models/AuthThrottle');
+const { sendEmail } = require('../utils/email');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const totp = require('../utils/totp');
+const recordAudit = require('../utils/audit');
+const { rescheduleInterviewReminders } = require('../utils/interviewReminders');
+const { canonicalSkillsFromInput } = require('../utils/skills');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 
-// Generate 6-digit code
-const generateResetCode = () => Math.floor(100000 + Math.random() * 900000);
+// Wrong guesses allowed against a single reset code before it is thrown away
+const MAX_RESET_CODE_ATTEMPTS = 5;
 
-// Helper function to send token response
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = user.getSignedJwtToken();
+// Build the 429 for a throttled attempt and tell the client when to retry
+const throttledError = (res, blocked) => {
+  res.set('Retry-After', String(blocked.retryAfter));
+
+  const wait = blocked.retryAfter > 60
+    ? `${Math.ceil(blocked.retryAfter / 60)} minutes`
+    : `${blocked.retryAfter} seconds`;
+
+  return new ErrorResponse(`Too many failed attempts. Please try again in ${wait}`, 429);
+};
+
+// Email a link that lifts a login lockout early
+const sendUnlockEmail = async (user) => {
+  const unlockToken = user.getUnlockToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendEmail('accountLocked', {
+    to: user.email,
+    data: {
+      name: user.name,
+      unlockUrl: `${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}`
+    }
+  });
+};
+
+// Email the new address a confirmation link and the old one a cancel link
+const sendEmailChangeEmails = async (user, confirmToken, cancelToken) => {
+  await sendEmail('emailChangeConfirm', {
+    to: user.pendingEmail,
+    data: {
+      name: user.name,
+      confirmUrl: `${process.env.FRONTEND_URL}/confirm-email-change?token=${confirmToken}`
+    }
+  });
+
+  await sendEmail('emailChangeNotice', {
+    to: user.email,
+    data: {
+      name: user.name,
+      newEmail: user.pendingEmail,
+      cancelUrl: `${process.env.FRONTEND_URL}/cancel-email-change?token=${cancelToken}`
+    }
+  });
+};
 
+// Count a failed sign-in against the account and the caller's IP
+const recordLoginFailure = async (req, email, user, reason) => {
+  await recordAudit(req, 'login_failed', {
+    user: user && user._id,
+    metadata: { email: String(email).toLowerCase(), reason }
+  });
+
+  await AuthThrottle.recordFailure(AuthThrottle.ipKey(req.ip), 'ip');
+  const { justLocked } = await AuthThrottle.recordFailure(
+    AuthThrottle.accountKey(email),
+    'account'
+  );
+
+  if (justLocked && user) {
+    await recordAudit(req, 'account_locked', { user: user._id });
+    await sendUnlockEmail(user);
+  }
+};
+
+// Cookie options shared by the access and refresh token cookies
+const cookieOptions = (expires) => {
   const options = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
+    expires,
     httpOnly: true
   };
 
@@ -24,19 +91,47 @@ const sendTokenResponse = (user, statusCode, res) => {
     options.sameSite = 'none';
   }
 
+  return options;
+};
+
+// Helper function to send token response
+// Starts a new login session unless an already rotated one is passed in
+// as { session, refreshToken }
+const sendTokenResponse = async (user, statusCode, req, res, rotated) => {
+  let session;
+  let refreshToken;
+
+  if (rotated) {
+    ({ session, refreshToken } = rotated);
+  } else {
+    session = Session.fromRequest(user, req);
+    refreshToken = session.rotateRefreshToken();
+    await session.save();
+  }
+
+  const token = user.getSignedJwtToken(session._id);
+
   res
   .status(statusCode)
-  .cookie('token', token, options)
+  .cookie('token', token, cookieOptions(
+    new Date(Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000)
+  ))
+  .cookie('refreshToken', refreshToken, {
+    ...cookieOptions(session.expiresAt),
+    path: '/api/auth'
+  })
   .json({
     success: true,
     token,
+    refreshToken,
     user: {
       id: user._id, // Make sure this is included
       name: user.name,
       email: user.email,
       role: user.role,
       avatar: user.avatar,
-      emailVerified: user.emailVerified
+      emailVerified: user.emailVerified,
+      deletionScheduledAt: user.deletionScheduledAt
     }
   });
 };
@@ -75,51 +170,14 @@ exports.register = async (req, res, next) => {
     const verifyToken = user.getEmailVerifyToken();
     await user.save({ validateBeforeSave: false });
 
-    // Create verification URL
-    const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verifyToken}`;
-
-    // Email message
-    const message = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; color: white;">
-          <h1 style="margin: 0; font-size: 28px;">Welcome to CareerPilot! 🚀</h1>
-        </div>
-        <div style="padding: 30px; background: #f9f9f9;">
-          <h2 style="color: #333; margin-bottom: 20px;">Almost there!</h2>
-          <p style="color: #666; line-height: 1.6;">Please verify your email address to complete your registration and start managing your job search.</p>
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${verifyUrl}" style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
-              Verify Email Address
-            </a>
-          </div>
-          <p style="color: #999; font-size: 14px; text-align: center;">
-            This link will expire in 24 hours.<br>
-            If the button doesn't work, copy and paste this link in your browser:<br>
-            <a href="${verifyUrl}" style="color: #667eea;">${verifyUrl}</a>
-          </p>
-        </div>
-        <div style="background: #f1f1f1; padding: 20px; text-align: center; color: #666; font-size: 12px;">
-          <p>If you didn't create an account with CareerPilot, please ignore this email.</p>
-        </div>
-      </div>
-    `;
-
-    try {
-      await sendEmail({
-        email: user.email,
-        subject: 'Verify Your Email - CareerPilot',
-        message
-      });
+    await sendEmail('welcome', {
+      to: user.email,
+      data: {
+        verifyUrl: `${process.env.FRONTEND_URL}/verify-email?token=${verifyToken}`
+      }
+    });
 
-      sendTokenResponse(user, 201, res);
-    } catch (emailErr) {
-      console.error('Email send error:', emailErr);
-      user.emailVerifyToken = undefined;
-      user.emailVerifyExpire = undefined;
-      await user.save({ validateBeforeSave: false });
-      
-      return next(new ErrorResponse('Email could not be sent', 500));
-    }
+    await sendTokenResponse(user, 201, req, res);
   } catch (err) {
     if (err.code === 11000) {
       return next(new ErrorResponse('User already exists with this email', 400));
@@ -140,10 +198,21 @@ exports.login = async (req, res, next) => {
       return next(new ErrorResponse('Please provide an email and password', 400));
     }
 
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return next(new ErrorResponse('Invalid credentials', 401));
+    }
+
+    const accountKey = AuthThrottle.accountKey(email);
+    const blocked = await AuthThrottle.check([accountKey, AuthThrottle.ipKey(req.ip)]);
+    if (blocked) {
+      return next(throttledError(res, blocked));
+    }
+
     // Check for user
     const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
 
     if (!user) {
+      await recordLoginFailure(req, email, null, 'unknown_email');
       return next(new ErrorResponse('Invalid credentials', 401));
     }
 
@@ -151,14 +220,509 @@ exports.login = async (req, res, next) => {
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
+      await recordLoginFailure(req, email, user, 'wrong_password');
       return next(new ErrorResponse('Invalid credentials', 401));
     }
 
+    if (user.suspended) {
+      return next(new ErrorResponse('Your account has been suspended', 403));
+    }
+
+    if (user.passwordResetRequired) {
+      return next(new ErrorResponse('A password reset is required. Please check your email for a reset code', 403));
+    }
+
+    // Hold back the session until the second factor is verified
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken()
+      });
+    }
+
+    await AuthThrottle.clear(accountKey);
+
     // Update last login
     user.lastLogin = Date.now();
     await user.save({ validateBeforeSave: false });
 
-    sendTokenResponse(user, 200, res);
+    await recordAudit(req, 'login', { user: user._id, metadata: { method: 'password' } });
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Email a passwordless sign-in link
+// @route   POST /api/auth/magic-link
+// @access  Public
+exports.requestMagicLink = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return next(new ErrorResponse('Please provide an email', 400));
+    }
+
+    const genericResponse = {
+      success: true,
+      message: 'If this email exists, a sign-in link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    // Don't reveal whether the email exists or the account is suspended
+    if (!user || user.suspended) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const magicToken = user.getMagicLinkToken();
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit(req, 'magic_link_requested', { user: user._id });
+
+    await sendEmail('magicLink', {
+      to: user.email,
+      data: {
+        name: user.name,
+        magicUrl: `${process.env.FRONTEND_URL}/magic-link?token=${magicToken}`
+      }
+    });
+
+    res.status(200).json(genericResponse);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Exchange a magic link token for a session
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+exports.verifyMagicLink = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return next(new ErrorResponse('Invalid sign-in link', 400));
+    }
+
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(token)
+      .digest('hex');
+
+    // Clear the token in the same step that finds it so it can't be used twice
+    const user = await User.findOneAndUpdate(
+      {
+        magicLinkToken: hashedToken,
+        magicLinkExpire: { $gt: Date.now() }
+      },
+      { $unset: { magicLinkToken: 1, magicLinkExpire: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return next(new ErrorResponse('Invalid or expired sign-in link', 400));
+    }
+
+    if (user.suspended) {
+      return next(new ErrorResponse('Your account has been suspended', 403));
+    }
+
+    if (user.passwordResetRequired) {
+      return next(new ErrorResponse('A password reset is required. Please check your email for a reset code', 403));
+    }
+
+    // Following the link proves the user controls the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifyToken = undefined;
+      user.emailVerifyExpire = undefined;
+      await recordAudit(req, 'email_verified', { user: user._id });
+    }
+
+    if (user.twoFactorEnabled) {
+      await user.save({ validateBeforeSave: false });
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken()
+      });
+    }
+
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit(req, 'login', { user: user._id, metadata: { method: 'magic_link' } });
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Complete a 2FA login with an authenticator or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return next(new ErrorResponse('Please provide the challenge token and a code', 400));
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      return next(new ErrorResponse('Login challenge has expired, please log in again', 401));
+    }
+
+    if (decoded.purpose !== '2fa') {
+      return next(new ErrorResponse('Invalid login challenge', 401));
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+
+    if (!user || !user.twoFactorEnabled || user.suspended) {
+      return next(new ErrorResponse('Invalid login challenge', 401));
+    }
+
+    // Codes are only six digits, so they share the password lockout
+    const accountKey = AuthThrottle.accountKey(user.email);
+    const blocked = await AuthThrottle.check([accountKey, AuthThrottle.ipKey(req.ip)]);
+    if (blocked) {
+      return next(throttledError(res, blocked));
+    }
+
+    const isValid = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!isValid) {
+      await recordLoginFailure(req, user.email, user, 'wrong_two_factor_code');
+      return next(new ErrorResponse('Invalid authentication code', 401));
+    }
+
+    await AuthThrottle.clear(accountKey);
+
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit(req, 'login', {
+      user: user._id,
+      metadata: { method: code ? 'two_factor' : 'recovery_code' }
+    });
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Start 2FA enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: totp.buildOtpauthUri(secret, user.email)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Confirm 2FA enrolment with a code from the authenticator app
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return next(new ErrorResponse('Please provide the code from your authenticator app', 400));
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return next(new ErrorResponse('Please start two-factor setup first', 400));
+    }
+
+    const step = totp.verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return next(new ErrorResponse('Invalid authentication code', 400));
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastStep = step;
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit(req, 'two_factor_enabled');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        twoFactorEnabled: true,
+        recoveryCodes
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return next(new ErrorResponse('Please provide your current password', 400));
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!(await user.comparePassword(password))) {
+      return next(new ErrorResponse('Current password is incorrect', 401));
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit(req, 'two_factor_disabled');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        twoFactorEnabled: false
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return next(new ErrorResponse('Please provide your current password', 400));
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user.twoFactorEnabled) {
+      return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return next(new ErrorResponse('Current password is incorrect', 401));
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const token = req.cookies.refreshToken || req.body.refreshToken;
+
+    if (!token) {
+      return next(new ErrorResponse('No refresh token provided', 401));
+    }
+
+    const hashedToken = Session.hashToken(token);
+    const rotated = await Session.rotateRefreshToken(hashedToken);
+
+    if (!rotated) {
+      const current = await Session.findOne({ refreshTokenHash: hashedToken });
+      if (current) {
+        return next(new ErrorResponse('Session has expired, please log in again', 401));
+      }
+
+      // A rotated-out token being presented again means it was copied, or
+      // raced another refresh with the same token; kill the whole session so
+      // neither holder can keep using it
+      const compromised = await Session.findOne({ previousTokenHashes: hashedToken });
+      if (compromised && !compromised.revokedAt) {
+        await compromised.revoke('refresh_token_reuse');
+      }
+
+      return next(new ErrorResponse('Invalid refresh token', 401));
+    }
+
+    const user = await User.findById(rotated.session.user);
+
+    if (!user || user.suspended) {
+      return next(new ErrorResponse('Invalid refresh token', 401));
+    }
+
+    await sendTokenResponse(user, 200, req, res, rotated);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Public
+exports.logout = async (req, res, next) => {
+  try {
+    const token = req.cookies.refreshToken || req.body.refreshToken;
+
+    if (token) {
+      const session = await Session.findOne({
+        refreshTokenHash: Session.hashToken(token)
+      });
+
+      if (session && !session.revokedAt) {
+        await session.revoke('logout');
+        await recordAudit(req, 'logout', { user: session.user });
+      }
+    }
+
+    res
+    .status(200)
+    .clearCookie('token')
+    .clearCookie('refreshToken', { path: '/api/auth' })
+    .json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    List active sessions for the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() }
+    }).sort('-lastUsedAt');
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Revoke a single session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!session) {
+      return next(new ErrorResponse('Session not found', 404));
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke('revoked_by_user');
+      await recordAudit(req, 'session_revoked', {
+        metadata: { session: session._id, device: session.device }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Revoke every session except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForUser(
+      req.user.id,
+      'revoked_by_user',
+      req.sessionId
+    );
+
+    await recordAudit(req, 'session_revoked', {
+      metadata: { allOtherSessions: true, count: result.modifiedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        revoked: result.modifiedCount
+      }
+    });
   } catch (err) {
     next(err);
   }
@@ -185,16 +749,28 @@ exports.getMe = async (req, res, next) => {
 // @access  Private
 exports.updateDetails = async (req, res, next) => {
   try {
+    // The email is never written directly; a change goes through
+    // confirmation by the new address first
+    let newEmail;
+    if (typeof req.body.email === 'string') {
+      newEmail = req.body.email.trim().toLowerCase();
+      if (newEmail === req.user.email) {
+        newEmail = undefined;
+      } else if (await User.exists({ email: newEmail })) {
+        return next(new ErrorResponse('Email is already in use', 400));
+      }
+    }
+
     const fieldsToUpdate = {
       name: req.body.name,
-      email: req.body.email,
       bio: req.body.bio,
       location: req.body.location,
       jobTitle: req.body.jobTitle,
-      skills: req.body.skills,
+      skills: req.body.skills === undefined ? undefined : await canonicalSkillsFromInput(req.body.skills),
       phone: req.body.phone,
       education: req.body.education,
-      website: req.body.website
+      website: req.body.website,
+      timezone: req.body.timezone
     };
 
     // Remove undefined fields
@@ -209,6 +785,21 @@ exports.updateDetails = async (req, res, next) => {
       runValidators: true
     });
 
+    if (fieldsToUpdate.timezone && fieldsToUpdate.timezone !== req.user.timezone) {
+      await rescheduleInterviewReminders(user);
+    }
+
+    if (newEmail) {
+      const { confirmToken, cancelToken } = user.getEmailChangeTokens(newEmail);
+      await user.save();
+
+      await recordAudit(req, 'email_change_requested', {
+        metadata: { from: user.email, to: newEmail }
+      });
+
+      await sendEmailChangeEmails(user, confirmToken, cancelToken);
+    }
+
     res.status(200).json({
       success: true,
       data: user
@@ -243,7 +834,12 @@ exports.updatePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    // Sign out every device, then start a fresh session for this one
+    await Session.revokeAllForUser(user._id, 'password_changed');
+
+    await recordAudit(req, 'password_changed');
+
+    await sendTokenResponse(user, 200, req, res);
   } catch (err) {
     next(err);
   }
@@ -277,66 +873,22 @@ exports.forgotPassword = async (req, res, next) => {
       });
     }
 
-    // Generate reset code
-    const resetCode = generateResetCode();
-    
-    // Hash and save the code
-    user.resetPasswordToken = crypto
-      .createHash('sha256')
-      .update(resetCode.toString())
-      .digest('hex');
-    user.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
-    
+    // Generate and save the hashed reset code
+    const resetCode = user.getResetPasswordCode();
     await user.save({ validateBeforeSave: false });
 
-    // Send email
-    const message = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; color: white;">
-          <h1 style="margin: 0; font-size: 28px;">Password Reset 🔒</h1>
-        </div>
-        <div style="padding: 30px; background: #f9f9f9;">
-          <h2 style="color: '); // Fix the template string
-          <h2 style="color: #333; margin-bottom: 20px;">Hello ${user.name},</h2>
-          <p style="color: #666; line-height: 1.6;">You requested to reset your password. Use the code below to reset it:</p>
-          
-          <div style="text-align: center; margin: 30px 0;">
-            <div style="background: #667eea; color: white; padding: 20px; border-radius: 10px; display: inline-block; font-size: 32px; font-weight: bold; letter-spacing: 5px;">
-              ${resetCode}
-            </div>
-          </div>
-          
-          <p style="color: #999; font-size: 14px; text-align: center;">
-            This code will expire in 10 minutes.<br>
-            If you didn't request this, please ignore this email and your password will remain unchanged.
-          </p>
-        </div>
-        <div style="background: #f1f1f1; padding: 20px; text-align: center; color: #666; font-size: 12px;">
-          <p>CareerPilot Security Team</p>
-        </div>
-      </div>
-    `;
+    await recordAudit(req, 'password_reset_requested', { user: user._id });
 
-    try {
-      await sendEmail({
-        email: user.email,
-        subject: 'Password Reset Code - CareerPilot',
-        message
-      });
-
-      res.status(200).json({
-        success: true,
-        message: 'Reset code sent to email',
-        email: user.email
-      });
-    } catch (emailErr) {
-      console.error('Email send error:', emailErr);
-      user.resetPasswordToken = undefined;
-      user.resetPasswordExpire = undefined;
-      await user.save({ validateBeforeSave: false });
+    await sendEmail('resetCode', {
+      to: user.email,
+      data: { name: user.name, code: resetCode }
+    });
 
-      return next(new ErrorResponse('Email could not be sent', 500));
-    }
+    res.status(200).json({
+      success: true,
+      message: 'Reset code sent to email',
+      email: user.email
+    });
   } catch (error) {
     console.error('Forgot password error:', error);
     next(error);
@@ -365,6 +917,13 @@ exports.resetPassword = async (req, res, next) => {
       return next(new ErrorResponse('Reset code must be 6 digits', 400));
     }
 
+    const resetKey = AuthThrottle.resetKey(cleanEmail);
+    const ipKey = AuthThrottle.ipKey(req.ip);
+    const blocked = await AuthThrottle.check([resetKey, ipKey]);
+    if (blocked) {
+      return next(throttledError(res, blocked));
+    }
+
     const hashedCode = crypto
       .createHash('sha256')
       .update(cleanCode)
@@ -372,11 +931,26 @@ exports.resetPassword = async (req, res, next) => {
 
     const user = await User.findOne({
       email: cleanEmail,
-      resetPasswordToken: hashedCode,
       resetPasswordExpire: { $gt: Date.now() }
     });
 
-    if (!user) {
+    if (!user || user.resetPasswordToken !== hashedCode) {
+      await AuthThrottle.recordFailure(ipKey, 'ip');
+      await AuthThrottle.recordFailure(resetKey, 'reset');
+
+      if (user) {
+        // Burn the code once it has been guessed at too often
+        user.resetPasswordAttempts += 1;
+        if (user.resetPasswordAttempts >= MAX_RESET_CODE_ATTEMPTS) {
+          user.resetPasswordToken = undefined;
+          user.resetPasswordExpire = undefined;
+          user.resetPasswordAttempts = 0;
+          await user.save({ validateBeforeSave: false });
+          return next(new ErrorResponse('Too many incorrect attempts. Please request a new reset code', 400));
+        }
+        await user.save({ validateBeforeSave: false });
+      }
+
       return next(new ErrorResponse('Invalid or expired reset code', 400));
     }
 
@@ -384,37 +958,24 @@ exports.resetPassword = async (req, res, next) => {
     user.password = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    user.resetPasswordAttempts = 0;
+    user.passwordResetRequired = false;
     await user.save();
 
-    // Send confirmation email
-    const message = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: linear-gradient(135deg, #4CAF50 0%, #45a049 100%); padding: 30px; text-align: center; color: white;">
-          <h1 style="margin: 0; font-size: 28px;">Password Updated ✅</h1>
-        </div>
-        <div style="padding: 30px; background: #f9f9f9;">
-          <h2 style="color: #333; margin-bottom: 20px;">Hello ${user.name},</h2>
-          <p style="color: #666; line-height: 1.6;">Your password has been successfully updated.</p>
-          <p style="color: #666; line-height: 1.6;">If you didn't make this change, please contact our support team immediately.</p>
-        </div>
-        <div style="background: #f1f1f1; padding: 20px; text-align: center; color: #666; font-size: 12px;">
-          <p>CareerPilot Security Team</p>
-        </div>
-      </div>
-    `;
+    // A successful reset also proves ownership of the account
+    await AuthThrottle.clear(resetKey);
+    await AuthThrottle.clear(AuthThrottle.accountKey(cleanEmail));
 
-    try {
-      await sendEmail({
-        email: user.email,
-        subject: 'Password Updated - CareerPilot',
-        message
-      });
-    } catch (emailErr) {
-      console.error('Confirmation email error:', emailErr);
-      // Don't fail the reset request if confirmation email fails
-    }
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    await recordAudit(req, 'password_reset', { user: user._id });
 
-    sendTokenResponse(user, 200, res);
+    await sendEmail('passwordUpdated', {
+      to: user.email,
+      data: { name: user.name }
+    });
+
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     next(error);
   }
@@ -450,6 +1011,8 @@ exports.verifyEmail = async (req, res, next) => {
     user.emailVerifyExpire = undefined;
     await user.save();
 
+    await recordAudit(req, 'email_verified', { user: user._id });
+
     res.status(200).json({
       success: true,
       message: 'Email verified successfully'
@@ -459,6 +1022,161 @@ exports.verifyEmail = async (req, res, next) => {
   }
 };
 
+// @desc    Confirm a pending email change
+// @route   GET /api/auth/confirm-email-change
+// @access  Public
+exports.confirmEmailChange = async (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return next(new ErrorResponse('Invalid confirmation token', 400));
+    }
+
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      pendingEmailToken: hashedToken,
+      pendingEmailExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return next(new ErrorResponse('Invalid or expired confirmation token', 400));
+    }
+
+    // The address may have been taken since the change was requested
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      user.clearPendingEmail();
+      await user.save({ validateBeforeSave: false });
+      return next(new ErrorResponse('Email is already in use', 400));
+    }
+
+    const previousEmail = user.email;
+    user.applyPendingEmail();
+    await user.save();
+
+    await recordAudit(req, 'email_changed', {
+      user: user._id,
+      metadata: { from: previousEmail, to: user.email }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a pending email change from the old address, or undo
+//          one confirmed in the past week
+// @route   GET /api/auth/cancel-email-change
+// @access  Public
+exports.cancelEmailChange = async (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return next(new ErrorResponse('Invalid cancellation token', 400));
+    }
+
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      $or: [
+        { emailChangeCancelToken: hashedToken, emailChangeCancelExpire: { $gt: Date.now() } },
+        { emailRevertToken: hashedToken, emailRevertExpire: { $gt: Date.now() } }
+      ]
+    });
+
+    if (!user) {
+      return next(new ErrorResponse('Invalid or expired cancellation token', 400));
+    }
+
+    // Already confirmed, so switch back to the old address
+    const reverting = user.emailRevertToken === hashedToken;
+    const changedEmail = user.email;
+
+    if (reverting) {
+      if (await User.exists({ email: user.previousEmail, _id: { $ne: user._id } })) {
+        return next(new ErrorResponse('Your previous email is now used by another account, please contact support', 400));
+      }
+      user.revertEmailChange();
+    } else {
+      user.clearPendingEmail();
+    }
+    await user.save({ validateBeforeSave: false });
+
+    // The change may have come from a hijacked session
+    await Session.revokeAllForUser(user._id, 'email_change_cancelled');
+
+    if (reverting) {
+      await recordAudit(req, 'email_change_reverted', {
+        user: user._id,
+        metadata: { from: changedEmail, to: user.email }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: reverting
+        ? 'Email change undone and all sessions signed out'
+        : 'Email change cancelled and all sessions signed out'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlock an account locked after failed logins
+// @route   GET /api/auth/unlock
+// @access  Public
+exports.unlockAccount = async (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return next(new ErrorResponse('Invalid unlock token', 400));
+    }
+
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      unlockToken: hashedToken,
+      unlockExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return next(new ErrorResponse('Invalid or expired unlock token', 400));
+    }
+
+    await AuthThrottle.clear(AuthThrottle.accountKey(user.email));
+
+    user.unlockToken = undefined;
+    user.unlockExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit(req, 'account_unlocked', { user: user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Resend verification email
 // @route   POST /api/auth/resendverification
 // @access  Private
@@ -473,47 +1191,18 @@ exports.resendVerification = async (req, res, next) => {
     const verifyToken = user.getEmailVerifyToken();
     await user.save({ validateBeforeSave: false });
 
-    const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verifyToken}`;
-
-    const message = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; color: white;">
-          <h1 style="margin: 0; font-size: 28px;">Verify Your Email 📧</h1>
-        </div>
-        <div style="padding: 30px; background: #f9f9f9;">
-          <h2 style="color: #333; margin-bottom: 20px;">Hello ${user.name},</h2>
-          <p style="color: #666; line-height: 1.6;">Here's your new verification link:</p>
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${verifyUrl}" style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
-              Verify Email Now
-            </a>
-          </div>
-          <p style="color: #999; font-size: 14px; text-align: center;">
-            This link will expire in 24 hours.
-          </p>
-        </div>
-      </div>
-    `;
-
-    try {
-      await sendEmail({
-        email: user.email,
-        subject: 'Verify Your Email - CareerPilot',
-        message
-      });
-
-      res.status(200).json({
-        success: true,
-        message: 'Verification email sent'
-      });
-    } catch (emailErr) {
-      console.error('Email send error:', emailErr);
-      user.emailVerifyToken = undefined;
-      user.emailVerifyExpire = undefined;
-      await user.save({ validateBeforeSave: false });
+    await sendEmail('verifyEmail', {
+      to: user.email,
+      data: {
+        name: user.name,
+        verifyUrl: `${process.env.FRONTEND_URL}/verify-email?token=${verifyToken}`
+      }
+    });
 
-      return next(new ErrorResponse('Email could not be sent', 500));
-    }
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
   } catch (error) {
     next(error);
   }
@@ -537,6 +1226,8 @@ exports.uploadAvatar = async (req, res, next) => {
 
     user.avatar = result.secure_url;
     await user.save();
+
+    await recordAudit(req, 'avatar_uploaded', { metadata: { avatar: user.avatar } });
  
     res.status(200).json({
       success: true,
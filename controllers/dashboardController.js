@@ -52,14 +52,7 @@ exports.getDashboardData = asyncHandler(async (req, res, next) => {
     .limit(5);
 
   // Get upcoming interviews (next 7 days)
-  const nextWeek = new Date();
-  nextWeek.setDate(nextWeek.getDate() + 7);
-  
-  const upcomingInterviews = await Application.find({
-    user: userId,
-    status: 'interviewing',
-    interviewDate: { $gte: new Date(), $lte: nextWeek }
-  }).populate('job', 'title company location');
+  const upcomingInterviews = await Application.findUpcomingInterviews(userId, 7);
 
   // Format response
   const stats = [
@@ -5,6 +5,7 @@ const Application = require('../models/Application');
 const Job = require('../models/Job');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const { formatSalary } = require('../utils/salary');
 
 // @desc    Export data in various formats
 // @route   POST /api/export
@@ -152,7 +153,7 @@ const generateCSV = async (data) => {
         'Applied Date': app.appliedDate ? new Date(app.appliedDate).toLocaleDateString() : 'N/A',
         'Response Date': app.responseDate ? new Date(app.responseDate).toLocaleDateString() : 'N/A',
         'Location': app.job?.location || 'N/A',
-        'Salary': app.job?.salary || 'N/A'
+        'Salary': formatSalary(app.job?.salary) || 'N/A'
       });
     });
   }
@@ -167,7 +168,7 @@ const generateCSV = async (data) => {
         'Job Title': job.title || 'N/A',
         'Company': job.company || 'N/A',
         'Location': job.location || 'N/A',
-        'Salary': job.salary || 'N/A',
+        'Salary': formatSalary(job.salary) || 'N/A',
         'Type': job.type || 'N/A',
         'Experience': job.experience || 'N/A',
         'Skills': job.skills ? job.skills.join(', ') : 'N/A'
@@ -203,7 +204,7 @@ const generateExcel = async (data) => {
       { header: 'Applied Date', key: 'appliedDate', width: 15 },
       { header: 'Response Date', key: 'responseDate', width: 15 },
       { header: 'Location', key: 'location', width: 20 },
-      { header: 'Salary', key: 'salary', width: 15 }
+      { header: 'Salary', key: 'salary', width: 25 }
     ];
     
     // Add data
@@ -215,7 +216,7 @@ const generateExcel = async (data) => {
         appliedDate: app.appliedDate ? new Date(app.appliedDate).toLocaleDateString() : 'N/A',
         responseDate: app.responseDate ? new Date(app.responseDate).toLocaleDateString() : 'N/A',
         location: app.job?.location || 'N/A',
-        salary: app.job?.salary || 'N/A'
+        salary: formatSalary(app.job?.salary) || 'N/A'
       });
     });
     
@@ -238,7 +239,7 @@ const generateExcel = async (data) => {
       { header: 'Job Title', key: 'title', width: 25 },
       { header: 'Company', key: 'company', width: 20 },
       { header: 'Location', key: 'location', width: 20 },
-      { header: 'Salary', key: 'salary', width: 15 },
+      { header: 'Salary', key: 'salary', width: 25 },
       { header: 'Type', key: 'type', width: 15 },
       { header: 'Experience', key: 'experience', width: 15 },
       { header: 'Skills', key: 'skills', width: 30 }
@@ -250,7 +251,7 @@ const generateExcel = async (data) => {
         title: job.title || 'N/A',
         company: job.company || 'N/A',
         location: job.location || 'N/A',
-        salary: job.salary || 'N/A',
+        salary: formatSalary(job.salary) || 'N/A',
         type: job.type || 'N/A',
         experience: job.experience || 'N/A',
         skills: job.skills ? job.skills.join(', ') : 'N/A'
@@ -1,45 +1,200 @@
 const Job = require('../models/Job');
+const Application = require('../models/Application');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const notify = require('../utils/notify');
+const { normalizeSalary } = require('../utils/salary');
+const { extractJobDraft } = require('../utils/jobImport');
+const { importJobs } = require('../utils/jobBulkImport');
+const { findDuplicateJobs } = require('../utils/jobDuplicates');
+const { canonicalizeSkills, canonicalSkillsFromInput, getSkillIndex } = require('../utils/skills');
+const {
+  COLLATION,
+  buildJobFilter,
+  isTextSearch,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  parsePagination,
+  getJobFacets
+} = require('../utils/jobQuery');
+const { parseSearchQuery, highlightJob } = require('../utils/jobSearch');
+
+// Roles allowed to publish jobs to the public listing
+const PUBLISHER_ROLES = ['recruiter', 'admin'];
+
+// Publishers may choose; everyone else can only keep private entries
+const resolveVisibility = (user, requested) => {
+  if (!PUBLISHER_ROLES.includes(user.role)) return 'private';
+  return requested === 'private' ? 'private' : 'public';
+};
+
+// Application deadline from the request: undefined leaves it alone, null or
+// an empty string clears it. A bare date means the end of that day (UTC).
+const parseDeadline = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const deadline = new Date(value);
+  if (Number.isNaN(deadline.getTime())) {
+    throw new ErrorResponse('Invalid application deadline', 400);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    deadline.setUTCHours(23, 59, 59, 999);
+  }
+  return deadline;
+};
+
+// Status, deadline and expiry changes for an update. Posters can close and
+// reopen a job; only the sweep marks jobs as expired.
+const lifecycleUpdate = (job, { status, applicationDeadline }) => {
+  if (status !== undefined && !['open', 'closed'].includes(status)) {
+    throw new ErrorResponse('Status must be open or closed', 400);
+  }
+
+  const deadline = parseDeadline(applicationDeadline);
+  const nextDeadline = deadline !== undefined ? deadline : job.applicationDeadline;
+  const nextStatus = status || (job.isClosed() ? job.status : 'open');
+  const reopening = nextStatus === 'open' && job.isClosed();
+  const update = {};
+
+  if (deadline !== undefined) update.applicationDeadline = deadline;
+
+  if (nextStatus === 'open') {
+    if ((deadline || reopening) && nextDeadline && nextDeadline <= Date.now()) {
+      throw new ErrorResponse('The application deadline must be in the future for an open job', 400);
+    }
+    if (reopening || deadline !== undefined) {
+      update.expiresAt = Job.expiryDate(nextDeadline, reopening ? new Date() : job.createdAt);
+    }
+    if (reopening) {
+      update.status = 'open';
+      update.closedAt = null;
+    }
+  } else if (nextStatus === 'closed' && job.status !== 'closed') {
+    update.status = 'closed';
+    update.closedAt = Date.now();
+  }
+
+  return update;
+};
+
+// What someone who saved a job can see of it. Edits that leave all of
+// these alone, such as a visibility change, don't notify them.
+const SAVER_VISIBLE_FIELDS = [
+  'title', 'company', 'location', 'workMode', 'salary', 'type', 'experience',
+  'description', 'skills', 'status', 'applicationDeadline'
+];
+
+const changedForSavers = (before, after) => SAVER_VISIBLE_FIELDS.some(field =>
+  JSON.stringify(before.get(field)) !== JSON.stringify(after.get(field))
+);
+
+// Let everyone who saved a posting know about a change, except whoever made it
+const notifySavers = (job, actorId, notification) => notify(
+  job.isSaved.filter(userId => userId.toString() !== actorId),
+  notification
+);
 
 // @desc    Create a new job
 // @route   POST /api/jobs
 // @access  Private
 exports.createJob = asyncHandler(async (req, res, next) => {
-  const { title, company, location, salary, type, experience, description, skills } = req.body;
+  const { title, company, location, workMode, salary, type, experience, description, skills, visibility } = req.body;
 
   if (!title || !company || !location || !type || !experience || !description) {
     return next(new ErrorResponse('Please provide all required fields', 400));
   }
 
-  // Handle skills input - it could be string or array
-  let skillsArray = [];
-  if (skills) {
-    if (typeof skills === 'string') {
-      // If skills is a string, split by commas
-      skillsArray = skills.split(',').map(skill => skill.trim()).filter(skill => skill);
-    } else if (Array.isArray(skills)) {
-      // If skills is already an array, use it directly
-      skillsArray = skills.map(skill => typeof skill === 'string' ? skill.trim() : skill).filter(skill => skill);
-    }
+  // Skills may come as an array or a comma-separated string, and are
+  // stored under their taxonomy names
+  const skillsArray = (await canonicalSkillsFromInput(skills)) || [];
+
+  const applicationDeadline = parseDeadline(req.body.applicationDeadline);
+  if (applicationDeadline && applicationDeadline <= Date.now()) {
+    return next(new ErrorResponse('The application deadline must be in the future', 400));
   }
 
   const job = await Job.create({
     title,
     company,
     location,
-    salary,
+    workMode,
+    salary: normalizeSalary(salary),
     type,
     experience,
     description,
     skills: skillsArray,
+    applicationDeadline: applicationDeadline || undefined,
     postedBy: req.user.id,
+    visibility: resolveVisibility(req.user, visibility),
     logo: company.charAt(0).toUpperCase()
   });
 
+  // The job is still created; the client can point the user at the
+  // existing postings instead
+  const duplicates = await findDuplicateJobs(job, { user: req.user });
+
   res.status(201).json({
     success: true,
-    data: job
+    data: job,
+    duplicates
+  });
+});
+
+// @desc    Build a job draft from a posting page's HTML or JSON-LD
+// @route   POST /api/jobs/import
+// @access  Private
+exports.importJobDraft = asyncHandler(async (req, res, next) => {
+  // JSON body with html and/or jsonLd, or the page posted as text/html
+  const body = typeof req.body === 'string'
+    ? (req.is('application/ld+json') ? { jsonLd: req.body } : { html: req.body })
+    : req.body || {};
+
+  const { html, jsonLd } = body;
+
+  if (!html && !jsonLd) {
+    return next(new ErrorResponse('Please provide the posting HTML or JSON-LD', 400));
+  }
+
+  const result = extractJobDraft({ html, jsonLd });
+
+  if (!result) {
+    return next(new ErrorResponse('Could not find a job posting in that content', 400));
+  }
+
+  result.draft.skills = canonicalizeSkills(result.draft.skills || [], await getSkillIndex());
+
+  // Nothing is saved: the user reviews the draft and submits it to POST /api/jobs
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+// @desc    Import jobs from a .csv or .xlsx file
+// @route   POST /api/jobs/bulk-import
+// @access  Private
+exports.bulkImportJobs = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return next(new ErrorResponse('Please upload a .csv or .xlsx file', 400));
+  }
+
+  // Multipart fields arrive as strings
+  const dryRun = [req.body.dryRun, req.query.dryRun].some(value => value === true || value === 'true');
+
+  const report = await importJobs({
+    file: req.file,
+    mapping: req.body.mapping,
+    dryRun,
+    postedBy: req.user._id,
+    visibility: resolveVisibility(req.user, req.body.visibility)
+  });
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    data: report
   });
 });
 
@@ -47,34 +202,66 @@ exports.createJob = asyncHandler(async (req, res, next) => {
 // @route   GET /api/jobs
 // @access  Public
 exports.getJobs = asyncHandler(async (req, res, next) => {
-  const { search, jobType, location, salary, experience } = req.query;
+  // Closed postings stay listed for people who saved or are tracking them
+  const viewer = req.user && {
+    _id: req.user._id,
+    heldJobIds: await Application.distinct('job', { user: req.user._id, status: 'saved' })
+  };
 
-  let query = {};
+  const filter = buildJobFilter(req.query, { viewer });
+  const textSearch = isTextSearch(req.query);
+  const sort = parseSort(req.query.sort, { textSearch });
+  const { page, limit } = parsePagination(req.query);
 
-  if (search) {
-    query.$or = [
-      { title: { $regex: search, $options: 'i' } },
-      { company: { $regex: search, $options: 'i' } },
-      { skills: { $regex: search, $options: 'i' } }
-    ];
-  }
+  // With a cursor we continue after the last item seen; otherwise page/limit
+  const { cursor } = req.query;
+  const pageFilter = cursor
+    ? { $and: [filter, afterCursor(decodeCursor(cursor, sort), sort)] }
+    : filter;
+
+  let query = Job.find(pageFilter).populate('postedBy', 'name');
 
-  if (jobType) query.type = jobType;
-  if (location) query.location = { $regex: location, $options: 'i' };
-  if (experience) query.experience = experience;
-  if (salary) {
-    const [min, max] = salary.split('-').map(s => parseInt(s.replace(/[^0-9]/g, '')) * 1000);
-    query.salary = { $gte: min, $lte: max };
+  if (textSearch) {
+    query = query.select({ score: { $meta: 'textScore' } });
+  } else {
+    // Text indexes only support the default collation
+    query = query.collation(COLLATION);
   }
 
-  const jobs = await Job.find(query)
-    .populate('postedBy', 'name')
-    .sort('-createdAt');
+  query = query
+    .sort(sort.relevance
+      ? { score: { $meta: 'textScore' }, _id: -1 }
+      : { [sort.field]: sort.direction, _id: sort.direction })
+    .skip(cursor ? 0 : (page - 1) * limit)
+    .limit(limit + 1);
+
+  const [jobs, total, facets] = await Promise.all([
+    query,
+    Job.countDocuments(filter),
+    getJobFacets(filter)
+  ]);
+
+  // One extra row tells us whether another page follows
+  const hasNextPage = jobs.length > limit;
+  if (hasNextPage) jobs.pop();
+
+  const searchQuery = textSearch ? parseSearchQuery(req.query.search) : null;
 
   res.status(200).json({
     success: true,
     count: jobs.length,
-    data: jobs
+    pagination: {
+      page: cursor ? undefined : page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      hasNextPage,
+      nextCursor: hasNextPage && !sort.relevance ? encodeCursor(sort, jobs[jobs.length - 1]) : null
+    },
+    facets,
+    data: searchQuery
+      ? jobs.map(job => ({ ...job.toJSON(), highlights: highlightJob(job, searchQuery) }))
+      : jobs
   });
 });
 
@@ -84,7 +271,7 @@ exports.getJobs = asyncHandler(async (req, res, next) => {
 exports.getJob = asyncHandler(async (req, res, next) => {
   const job = await Job.findById(req.params.id).populate('postedBy', 'name');
 
-  if (!job) {
+  if (!job || !job.isVisibleTo(req.user)) {
     return next(new ErrorResponse('Job not found', 404));
   }
 
@@ -108,19 +295,14 @@ exports.updateJob = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to update this job', 403));
   }
 
-  const { title, company, location, salary, type, experience, description, skills } = req.body;
+  const { title, company, location, workMode, salary, type, experience, description, skills, visibility } = req.body;
 
-  // Handle skills input - it could be string or array
-  let skillsArray = job.skills; // Default to existing skills
-  if (skills) {
-    if (typeof skills === 'string') {
-      // If skills is a string, split by commas
-      skillsArray = skills.split(',').map(skill => skill.trim()).filter(skill => skill);
-    } else if (Array.isArray(skills)) {
-      // If skills is already an array, use it directly
-      skillsArray = skills.map(skill => typeof skill === 'string' ? skill.trim() : skill).filter(skill => skill);
-    }
-  }
+  // Skills may come as an array or a comma-separated string; keep the
+  // existing ones when none are sent
+  const skillsArray = (skills && await canonicalSkillsFromInput(skills)) || job.skills;
+
+  const lifecycle = lifecycleUpdate(job, req.body);
+  const previous = job;
 
   job = await Job.findByIdAndUpdate(
     req.params.id,
@@ -128,16 +310,32 @@ exports.updateJob = asyncHandler(async (req, res, next) => {
       title,
       company,
       location,
-      salary,
+      workMode,
+      salary: normalizeSalary(salary),
       type,
       experience,
       description,
       skills: skillsArray,
-      logo: company ? company.charAt(0).toUpperCase() : job.logo
+      visibility: visibility ? resolveVisibility(req.user, visibility) : job.visibility,
+      logo: company ? company.charAt(0).toUpperCase() : job.logo,
+      ...lifecycle
     },
     { new: true, runValidators: true }
   );
 
+  if (changedForSavers(previous, job)) {
+    const closed = lifecycle.status === 'closed';
+    await notifySavers(job, req.user.id, {
+      type: 'saved_job_updated',
+      title: `${job.title} at ${job.company} was ${closed ? 'closed' : 'updated'}`,
+      message: closed
+        ? 'A job you saved is no longer accepting applications.'
+        : 'A job you saved has changed. Check the latest details.',
+      link: `/jobs/${job._id}`,
+      data: { job: job._id }
+    });
+  }
+
   res.status(200).json({
     success: true,
     data: job
@@ -157,7 +355,15 @@ exports.deleteJob = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to delete this job', 403));
   }
 
-  await job.remove();
+  await job.deleteOne();
+
+  await notifySavers(job, req.user.id, {
+    type: 'saved_job_deleted',
+    title: `${job.title} at ${job.company} was removed`,
+    message: 'A job you saved is no longer available.',
+    link: '/jobs',
+    data: { job: job._id }
+  });
 
   res.status(200).json({
     success: true,
@@ -171,7 +377,7 @@ exports.deleteJob = asyncHandler(async (req, res, next) => {
 exports.toggleSaveJob = asyncHandler(async (req, res, next) => {
   const job = await Job.findById(req.params.id);
 
-  if (!job) {
+  if (!job || !job.isVisibleTo(req.user)) {
     return next(new ErrorResponse('Job not found', 404));
   }
 
@@ -190,4 +396,50 @@ exports.toggleSaveJob = asyncHandler(async (req, res, next) => {
     success: true,
     data: job
   });
-});
\ No newline at end of file
+});
+
+// @desc    Get the current user's private job entries
+// @route   GET /api/jobs/personal
+// @access  Private
+exports.getPersonalJobs = asyncHandler(async (req, res, next) => {
+  const jobs = await Job.find({ postedBy: req.user.id, visibility: 'private' })
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    data: jobs
+  });
+});
+
+// @desc    Get a recruiter's public postings with engagement counts
+// @route   GET /api/jobs/my-postings
+// @access  Private/Recruiter
+exports.getMyPostings = asyncHandler(async (req, res, next) => {
+  const jobs = await Job.find({ postedBy: req.user.id, visibility: { $ne: 'private' } })
+    .sort('-createdAt');
+
+  const applicationCounts = await Application.aggregate([
+    { $match: { job: { $in: jobs.map(job => job._id) } } },
+    { $group: { _id: '$job', count: { $sum: 1 } } }
+  ]);
+
+  const countsByJob = {};
+  applicationCounts.forEach(row => {
+    countsByJob[row._id.toString()] = row.count;
+  });
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    data: jobs.map(job => {
+      // Recruiters see how many people saved a posting, not who
+      const { isSaved, ...posting } = job.toObject();
+      return {
+        ...posting,
+        saveCount: isSaved.length,
+        applicationCount: countsByJob[job._id.toString()] || 0
+      };
+    })
+  });
+});
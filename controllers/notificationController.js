@@ -0,0 +1,181 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const EmailSuppression = require('../models/EmailSuppression');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { verifyUnsubscribeToken } = require('../utils/email/unsubscribe');
+
+// Email categories that map to a single preference. Unsubscribing from any
+// other category suppresses the address for all non-security email.
+const CATEGORY_PREFERENCES = {
+  reminders: 'interviewReminders',
+  digest: 'weeklyDigest',
+  alerts: 'searchAlerts'
+};
+
+const PREFERENCE_FIELDS = ['weeklyDigest', 'interviewReminders', 'searchAlerts', 'staleApplicationDays'];
+
+// @desc    List the current user's notifications, newest first
+// @route   GET /api/notifications
+// @access  Private
+exports.getNotifications = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const query = { user: req.user.id };
+
+  if (req.query.unread === 'true') {
+    query.readAt = null;
+  }
+
+  if (req.query.type) {
+    if (!Notification.TYPES.includes(req.query.type)) {
+      return next(new ErrorResponse(`Unknown notification type: ${req.query.type}`, 400));
+    }
+    query.type = req.query.type;
+  }
+
+  const [notifications, total, unread] = await Promise.all([
+    Notification.find(query)
+      .select('-user')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Notification.countDocuments(query),
+    Notification.countDocuments({ user: req.user.id, readAt: null })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    unread,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: notifications
+  });
+});
+
+// @desc    Get the number of unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+exports.getUnreadCount = asyncHandler(async (req, res, next) => {
+  const count = await Notification.countDocuments({ user: req.user.id, readAt: null });
+
+  res.status(200).json({
+    success: true,
+    data: { count }
+  });
+});
+
+// @desc    Mark one notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+exports.markRead = asyncHandler(async (req, res, next) => {
+  const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!notification) {
+    return next(new ErrorResponse('Notification not found', 404));
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = Date.now();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: notification
+  });
+});
+
+// @desc    Mark all of the current user's notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+exports.markAllRead = asyncHandler(async (req, res, next) => {
+  const result = await Notification.updateMany(
+    { user: req.user.id, readAt: null },
+    { $set: { readAt: Date.now() } }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { updated: result.modifiedCount }
+  });
+});
+
+// @desc    Get the current user's notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+exports.getPreferences = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      ...req.user.notificationPreferences.toObject(),
+      timezone: req.user.timezone,
+      suppressed: await EmailSuppression.isSuppressed(req.user.email)
+    }
+  });
+});
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+exports.updatePreferences = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  PREFERENCE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      user.notificationPreferences[field] = req.body[field];
+    }
+  });
+
+  await user.save();
+
+  // Opting back in to something lifts an earlier "unsubscribe from all"
+  if (['weeklyDigest', 'interviewReminders', 'searchAlerts'].some(field => req.body[field] === true)) {
+    await EmailSuppression.deleteOne({ email: user.email });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user.notificationPreferences
+  });
+});
+
+// @desc    Unsubscribe using the link from an email
+// @route   POST /api/notifications/unsubscribe
+// @access  Public
+exports.unsubscribe = asyncHandler(async (req, res, next) => {
+  const { token, all } = req.body;
+
+  const decoded = typeof token === 'string' ? verifyUnsubscribeToken(token) : null;
+  if (!decoded) {
+    return next(new ErrorResponse('Invalid unsubscribe link', 400));
+  }
+
+  const { email, category } = decoded;
+  const preference = CATEGORY_PREFERENCES[category];
+  const everything = all === true || all === 'true' || !preference;
+
+  if (everything) {
+    await EmailSuppression.suppress(email, 'unsubscribed');
+  } else {
+    await User.updateOne(
+      { email },
+      { $set: { [`notificationPreferences.${preference}`]: false } }
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      email,
+      category,
+      scope: everything ? 'all' : 'category'
+    }
+  });
+});
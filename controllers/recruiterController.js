@@ -0,0 +1,54 @@
+const User = require('../models/User');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+
+// @desc    Apply for recruiter access
+// @route   POST /api/recruiter/apply
+// @access  Private
+exports.applyForRecruiter = asyncHandler(async (req, res, next) => {
+  const { company, website, message } = req.body;
+
+  if (!company) {
+    return next(new ErrorResponse('Please provide the company you recruit for', 400));
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (['recruiter', 'admin'].includes(user.role)) {
+    return next(new ErrorResponse('You can already publish job postings', 400));
+  }
+
+  if (user.recruiterApplication && user.recruiterApplication.status === 'pending') {
+    return next(new ErrorResponse('Your recruiter application is already under review', 400));
+  }
+
+  user.recruiterApplication = {
+    status: 'pending',
+    company,
+    website,
+    message,
+    submittedAt: Date.now()
+  };
+  await user.save();
+
+  res.status(201).json({
+    success: true,
+    data: user.recruiterApplication
+  });
+});
+
+// @desc    Get the status of the current user's recruiter application
+// @route   GET /api/recruiter/application
+// @access  Private
+exports.getRecruiterApplication = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.recruiterApplication || !user.recruiterApplication.status) {
+    return next(new ErrorResponse('No recruiter application found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user.recruiterApplication
+  });
+});
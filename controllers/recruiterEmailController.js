@@ -0,0 +1,229 @@
+const RecruiterEmail = require('../models/RecruiterEmail');
+const Application = require('../models/Application');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const notify = require('../utils/notify');
+const {
+  parseRecruiterEmail,
+  classifyStatus,
+  extractInterviewDate,
+  matchApplications
+} = require('../utils/recruiterEmail');
+
+const MAX_STORED_TEXT = 20000;
+const MAX_CANDIDATES = 5;
+const SNIPPET_LENGTH = 300;
+
+const APPLICATION_STATUSES = Application.schema.path('status').enumValues;
+
+const populateCandidates = (query) => query
+  .populate({
+    path: 'application candidates.application',
+    select: 'status job interviewDate interviewTime',
+    populate: { path: 'job', select: 'title company location' }
+  });
+
+// @desc    Import a recruiter email and propose a tracker update
+// @route   POST /api/tracker/emails
+// @access  Private
+exports.importRecruiterEmail = asyncHandler(async (req, res, next) => {
+  // Either an uploaded .eml file or the raw message as the request body
+  const raw = req.file ? req.file.buffer : req.body;
+  const source = req.file ? 'upload' : 'inbound';
+
+  if (!raw || (typeof raw === 'string' ? !raw.trim() : !raw.length)) {
+    return next(new ErrorResponse('Please upload an .eml file or post the raw message', 400));
+  }
+
+  const email = await parseRecruiterEmail(raw);
+
+  if (!email.from.address && !email.subject && !email.text) {
+    return next(new ErrorResponse('Could not read that email', 400));
+  }
+
+  const applications = await Application.find({ user: req.user.id })
+    .populate('job', 'title company');
+
+  const matches = matchApplications(email, applications).slice(0, MAX_CANDIDATES);
+  const classification = classifyStatus(email);
+  const interview = classification && classification.status === 'interviewing'
+    ? extractInterviewDate(email.text, email.date)
+    : null;
+
+  const recruiterEmail = await RecruiterEmail.create({
+    user: req.user.id,
+    source,
+    from: email.from,
+    subject: email.subject,
+    text: email.text.slice(0, MAX_STORED_TEXT),
+    receivedAt: email.date,
+    forwarded: email.forwarded,
+    application: matches[0] && matches[0].application._id,
+    candidates: matches.map(match => ({
+      application: match.application._id,
+      score: match.score
+    })),
+    proposedStatus: classification && classification.status,
+    matchedPhrase: classification && classification.phrase,
+    proposedInterviewDate: interview && interview.date,
+    proposedInterviewTime: interview && interview.time
+  });
+
+  await populateCandidates(recruiterEmail);
+
+  res.status(201).json({
+    success: true,
+    data: recruiterEmail
+  });
+});
+
+// @desc    List imported recruiter emails
+// @route   GET /api/tracker/emails
+// @access  Private
+exports.getRecruiterEmails = asyncHandler(async (req, res, next) => {
+  const query = { user: req.user.id };
+
+  if (req.query.status) {
+    if (!RecruiterEmail.schema.path('status').enumValues.includes(req.query.status)) {
+      return next(new ErrorResponse(`Unknown status: ${req.query.status}`, 400));
+    }
+    query.status = req.query.status;
+  }
+
+  const emails = await populateCandidates(
+    RecruiterEmail.find(query).select('-text').sort('-createdAt').limit(100)
+  );
+
+  res.status(200).json({
+    success: true,
+    count: emails.length,
+    data: emails
+  });
+});
+
+// @desc    Get one imported recruiter email with its proposal
+// @route   GET /api/tracker/emails/:id
+// @access  Private
+exports.getRecruiterEmail = asyncHandler(async (req, res, next) => {
+  const recruiterEmail = await populateCandidates(
+    RecruiterEmail.findOne({ _id: req.params.id, user: req.user.id })
+  );
+
+  if (!recruiterEmail) {
+    return next(new ErrorResponse('Email not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: recruiterEmail
+  });
+});
+
+// @desc    Apply the proposed update, optionally corrected by the user
+// @route   PUT /api/tracker/emails/:id/confirm
+// @access  Private
+exports.confirmRecruiterEmail = asyncHandler(async (req, res, next) => {
+  const recruiterEmail = await RecruiterEmail.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!recruiterEmail) {
+    return next(new ErrorResponse('Email not found', 404));
+  }
+
+  if (recruiterEmail.status !== 'pending') {
+    return next(new ErrorResponse(`This email was already ${recruiterEmail.status}`, 400));
+  }
+
+  const applicationId = req.body.applicationId || recruiterEmail.application;
+  if (!applicationId) {
+    return next(new ErrorResponse('Please choose the application this email belongs to', 400));
+  }
+
+  const application = await Application.findOne({ _id: applicationId, user: req.user.id })
+    .populate('job', 'title company');
+
+  if (!application) {
+    return next(new ErrorResponse('Application not found', 404));
+  }
+
+  // The user may override the proposal; null keeps the current status
+  const status = req.body.status !== undefined ? req.body.status : recruiterEmail.proposedStatus;
+  if (status && !APPLICATION_STATUSES.includes(status)) {
+    return next(new ErrorResponse('Invalid status', 400));
+  }
+
+  const previousStatus = application.status;
+  if (status && status !== previousStatus) {
+    application.setStatus(status);
+  }
+
+  if (status === 'interviewing') {
+    const interviewDate = req.body.interviewDate !== undefined
+      ? req.body.interviewDate
+      : recruiterEmail.proposedInterviewDate;
+    const interviewTime = req.body.interviewTime !== undefined
+      ? req.body.interviewTime
+      : recruiterEmail.proposedInterviewTime;
+
+    if (interviewDate) application.interviewDate = interviewDate;
+    if (interviewTime) application.interviewTime = interviewTime;
+  }
+
+  // A rejection or offer cancels pending interview reminders
+  if (['status', 'interviewDate', 'interviewTime'].some(field => application.isModified(field))) {
+    application.scheduleInterviewReminders(req.user.timezone);
+  }
+
+  application.emails.push({
+    recruiterEmail: recruiterEmail._id,
+    from: recruiterEmail.from.name
+      ? `${recruiterEmail.from.name} <${recruiterEmail.from.address}>`
+      : recruiterEmail.from.address,
+    subject: recruiterEmail.subject,
+    receivedAt: recruiterEmail.receivedAt,
+    snippet: recruiterEmail.text.slice(0, SNIPPET_LENGTH),
+    statusApplied: status && status !== previousStatus ? status : undefined
+  });
+
+  await application.save();
+
+  recruiterEmail.status = 'applied';
+  recruiterEmail.application = application._id;
+  recruiterEmail.resolvedAt = Date.now();
+  await recruiterEmail.save();
+
+  if (application.status !== previousStatus) {
+    const job = application.job;
+    await notify(req.user._id, {
+      type: 'application_status',
+      title: `${job ? `${job.title} at ${job.company}` : 'Application'} moved to ${Application.STATUS_LABELS[application.status]}`,
+      message: `Updated from an email from ${recruiterEmail.from.name || recruiterEmail.from.address}`,
+      link: '/tracker',
+      data: { application: application._id, job: job && job._id, from: previousStatus, to: application.status }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: application
+  });
+});
+
+// @desc    Dismiss an imported email without changing the tracker
+// @route   PUT /api/tracker/emails/:id/dismiss
+// @access  Private
+exports.dismissRecruiterEmail = asyncHandler(async (req, res, next) => {
+  const recruiterEmail = await RecruiterEmail.findOneAndUpdate(
+    { _id: req.params.id, user: req.user.id, status: 'pending' },
+    { status: 'dismissed', resolvedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!recruiterEmail) {
+    return next(new ErrorResponse('Pending email not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: recruiterEmail
+  });
+});
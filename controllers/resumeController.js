@@ -3,7 +3,9 @@ const ErrorResponse = require('../utils/errorResponse');
 const User = require('../models/User');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
+const path = require('path');
 const fs = require('fs').promises;
+const recordAudit = require('../utils/audit');
 
 // @desc    Upload resume
 // @route   POST /api/resume/upload
@@ -61,6 +63,10 @@ exports.uploadResume = asyncHandler(async (req, res, next) => {
 
   await user.save();
 
+  await recordAudit(req, 'resume_uploaded', {
+    metadata: { fileName: user.resume.fileName, size: req.file.size }
+  });
+
   res.status(200).json({
     success: true,
     data: {
@@ -100,10 +106,14 @@ exports.deleteResume = asyncHandler(async (req, res, next) => {
   const filePath = path.join(__dirname, '..', user.resume.fileUrl);
   await fs.unlink(filePath).catch(console.error);
 
+  const fileName = user.resume.fileName;
+
   // Remove resume from user
   user.resume = undefined;
   await user.save();
 
+  await recordAudit(req, 'resume_deleted', { metadata: { fileName } });
+
   res.status(200).json({
     success: true,
     data: { message: 'Resume deleted successfully' }
@@ -0,0 +1,214 @@
+const SavedSearch = require('../models/SavedSearch');
+const Job = require('../models/Job');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { buildJobFilter } = require('../utils/jobQuery');
+
+const MAX_SEARCHES_PER_USER = 20;
+
+const MAX_NEW_JOBS = 100;
+
+// Copy the recognised query parameters from the request body, checking that
+// they make a valid job listing query
+const readQuery = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ErrorResponse(`Please provide a query with any of: ${SavedSearch.QUERY_FIELDS.join(', ')}`, 400);
+  }
+
+  const query = {};
+  SavedSearch.QUERY_FIELDS.forEach(field => {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') return;
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      throw new ErrorResponse(`${field} must be a string`, 400);
+    }
+    query[field] = String(value).trim();
+  });
+
+  if (Object.keys(query).length === 0) {
+    throw new ErrorResponse(`Please provide at least one of: ${SavedSearch.QUERY_FIELDS.join(', ')}`, 400);
+  }
+
+  // Throws the same 400s the job listing would
+  buildJobFilter(query);
+
+  return query;
+};
+
+// Jobs matching a saved search that were created after `since`
+const newJobsFilter = (search, since) => ({
+  ...buildJobFilter(search.queryParams()),
+  postedBy: { $ne: search.user },
+  createdAt: { $gt: since }
+});
+
+// Names are unique per user; say so instead of letting the index reject it
+const checkNameAvailable = async (userId, name, exceptId) => {
+  if (typeof name !== 'string' || !name.trim()) return;
+
+  const filter = { user: userId, name: name.trim() };
+  if (exceptId) filter._id = { $ne: exceptId };
+
+  if (await SavedSearch.exists(filter)) {
+    throw new ErrorResponse(`You already have a saved search named "${name.trim()}"`, 400);
+  }
+};
+
+const findSearch = async (req) => {
+  const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user.id });
+  if (!search) {
+    throw new ErrorResponse('Saved search not found', 404);
+  }
+  return search;
+};
+
+// @desc    List the current user's saved searches with their new job counts.
+//          Searches whose query no longer parses are flagged as invalid.
+// @route   GET /api/saved-searches
+// @access  Private
+exports.getSavedSearches = asyncHandler(async (req, res, next) => {
+  const searches = await SavedSearch.find({ user: req.user.id }).sort('name');
+
+  const data = await Promise.all(searches.map(async search => {
+    let filter;
+    try {
+      filter = newJobsFilter(search, search.lastViewedAt);
+    } catch (err) {
+      if (!(err instanceof ErrorResponse)) throw err;
+
+      // A query that no longer parses, e.g. after a currency was dropped.
+      // It is still listed so the user can fix or delete it.
+      return { ...search.toObject(), newCount: null, invalid: true, error: err.message };
+    }
+
+    return {
+      ...search.toObject(),
+      newCount: await Job.countDocuments(filter)
+    };
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+});
+
+// @desc    Save a job search
+// @route   POST /api/saved-searches
+// @access  Private
+exports.createSavedSearch = asyncHandler(async (req, res, next) => {
+  const { name, alerts } = req.body;
+  const query = readQuery(req.body.query);
+
+  const searchCount = await SavedSearch.countDocuments({ user: req.user.id });
+  if (searchCount >= MAX_SEARCHES_PER_USER) {
+    return next(new ErrorResponse(`You can save at most ${MAX_SEARCHES_PER_USER} searches`, 400));
+  }
+
+  await checkNameAvailable(req.user.id, name);
+
+  const search = new SavedSearch({
+    user: req.user.id,
+    name,
+    query,
+    alerts
+  });
+  search.scheduleNextAlert();
+  await search.save();
+
+  res.status(201).json({
+    success: true,
+    data: search
+  });
+});
+
+// @desc    Get a saved search
+// @route   GET /api/saved-searches/:id
+// @access  Private
+exports.getSavedSearch = asyncHandler(async (req, res, next) => {
+  const search = await findSearch(req);
+
+  res.status(200).json({
+    success: true,
+    data: search
+  });
+});
+
+// @desc    Rename a saved search or change its query or alerts
+// @route   PUT /api/saved-searches/:id
+// @access  Private
+exports.updateSavedSearch = asyncHandler(async (req, res, next) => {
+  const search = await findSearch(req);
+  const { name, alerts } = req.body;
+
+  if (name !== undefined) {
+    await checkNameAvailable(req.user.id, name, search._id);
+    search.name = name;
+  }
+  if (req.body.query !== undefined) search.query = readQuery(req.body.query);
+
+  if (alerts && typeof alerts === 'object') {
+    const wasOff = search.alerts.frequency === 'off';
+
+    if (alerts.frequency !== undefined) search.alerts.frequency = alerts.frequency;
+    if (alerts.channel !== undefined) search.alerts.channel = alerts.channel;
+
+    if (search.isModified('alerts.frequency')) {
+      // Turning alerts back on shouldn't report everything posted meanwhile
+      if (wasOff) search.lastAlertedAt = Date.now();
+      search.scheduleNextAlert();
+    }
+  }
+
+  await search.save();
+
+  res.status(200).json({
+    success: true,
+    data: search
+  });
+});
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private
+exports.deleteSavedSearch = asyncHandler(async (req, res, next) => {
+  const search = await findSearch(req);
+  await search.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Jobs matching a saved search created since it was last viewed;
+//          marks the search as viewed
+// @route   GET /api/saved-searches/:id/new
+// @access  Private
+exports.getNewJobs = asyncHandler(async (req, res, next) => {
+  const search = await findSearch(req);
+  const viewedAt = new Date();
+  const filter = newJobsFilter(search, search.lastViewedAt);
+  filter.createdAt.$lte = viewedAt;
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter)
+      .populate('postedBy', 'name')
+      .sort('-createdAt')
+      .limit(MAX_NEW_JOBS),
+    Job.countDocuments(filter)
+  ]);
+
+  const since = search.lastViewedAt;
+  search.lastViewedAt = viewedAt;
+  await search.save();
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    total,
+    since,
+    data: jobs
+  });
+});
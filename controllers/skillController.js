@@ -0,0 +1,181 @@
+const Skill = require('../models/Skill');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const escapeRegex = require('../utils/escapeRegex');
+const skillKey = require('../utils/skillKey');
+const { getSkillIndex, clearSkillIndex } = require('../utils/skills');
+
+const MAX_SUGGESTIONS = 20;
+
+// Lower ranks first: name prefix, alias prefix, then a match inside the
+// name. Prefixes compare lookup keys so "nodej" finds Node.js.
+const suggestionRank = (entry, query) => {
+  const key = skillKey(query);
+  if (skillKey(entry.name).startsWith(key)) return { rank: 0 };
+
+  const alias = (entry.aliases || []).find(candidate => skillKey(candidate).startsWith(key));
+  if (alias) return { rank: 1, alias };
+
+  if (entry.name.toLowerCase().includes(query)) return { rank: 2 };
+  return null;
+};
+
+// Turn the names or aliases in `related` into skill ids
+const resolveRelated = async (related, self) => {
+  if (!Array.isArray(related)) {
+    throw new ErrorResponse('Related skills must be a list of skill names', 400);
+  }
+
+  const keys = related.map(skillKey);
+  const skills = await Skill.find({ keys: { $in: keys } }).select('+keys');
+
+  const ids = related.map((name, i) => {
+    const skill = skills.find(candidate => candidate.keys.includes(keys[i]));
+    if (!skill) {
+      throw new ErrorResponse(`Unknown related skill: ${name}`, 400);
+    }
+    return skill._id.toString();
+  });
+
+  return [...new Set(ids)].filter(id => !self || id !== self.toString());
+};
+
+// Make sure no other skill already uses one of the new names or aliases
+const checkConflicts = async (skill) => {
+  await skill.validate();
+
+  const conflict = await Skill.findOne({ keys: { $in: skill.keys }, _id: { $ne: skill._id } }).select('name');
+  if (conflict) {
+    throw new ErrorResponse(`${skill.name} or one of its aliases is already used by ${conflict.name}`, 400);
+  }
+};
+
+// Apply name, category, aliases and related from the request body
+const applyChanges = async (skill, body) => {
+  const { name, category, aliases, related } = body;
+
+  if (name !== undefined) skill.name = name;
+  if (category !== undefined) skill.category = category;
+  if (aliases !== undefined) {
+    if (!Array.isArray(aliases)) {
+      throw new ErrorResponse('Aliases must be a list of names', 400);
+    }
+    skill.aliases = aliases;
+  }
+  if (related !== undefined) skill.related = await resolveRelated(related, skill._id);
+
+  await checkConflicts(skill);
+};
+
+// @desc    Suggest skills for a partial name
+// @route   GET /api/skills/autocomplete?q=
+// @access  Public
+exports.autocompleteSkills = asyncHandler(async (req, res, next) => {
+  const query = String(req.query.q || '').trim().toLowerCase();
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_SUGGESTIONS);
+
+  if (!query) {
+    return next(new ErrorResponse('Please provide a search term', 400));
+  }
+
+  const { entries } = await getSkillIndex();
+
+  const suggestions = entries
+    .filter(entry => !req.query.category || entry.category === req.query.category)
+    .map(entry => ({ entry, match: suggestionRank(entry, query) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => (a.match.rank - b.match.rank) ||
+      (a.entry.name.length - b.entry.name.length) ||
+      a.entry.name.localeCompare(b.entry.name))
+    .slice(0, limit)
+    .map(({ entry, match }) => ({
+      name: entry.name,
+      category: entry.category,
+      matchedAlias: match.alias,
+      related: entry.related || []
+    }));
+
+  res.status(200).json({
+    success: true,
+    count: suggestions.length,
+    data: suggestions
+  });
+});
+
+// @desc    List the skill taxonomy
+// @route   GET /api/skills
+// @access  Public
+exports.getSkills = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (req.query.category) query.category = req.query.category;
+  if (req.query.search) {
+    const pattern = { $regex: escapeRegex(req.query.search), $options: 'i' };
+    query.$or = [{ name: pattern }, { aliases: pattern }];
+  }
+
+  const skills = await Skill.find(query)
+    .populate('related', 'name')
+    .sort('category name');
+
+  res.status(200).json({
+    success: true,
+    count: skills.length,
+    data: skills
+  });
+});
+
+// @desc    Add a skill to the taxonomy
+// @route   POST /api/skills
+// @access  Private/Admin
+exports.createSkill = asyncHandler(async (req, res, next) => {
+  const skill = new Skill();
+  await applyChanges(skill, req.body);
+  await skill.save();
+  clearSkillIndex();
+
+  res.status(201).json({
+    success: true,
+    data: await skill.populate('related', 'name')
+  });
+});
+
+// @desc    Update a skill's name, category, aliases or related skills.
+//          Stored jobs and profiles pick up renames when backfillSkills runs.
+// @route   PUT /api/skills/:id
+// @access  Private/Admin
+exports.updateSkill = asyncHandler(async (req, res, next) => {
+  const skill = await Skill.findById(req.params.id);
+  if (!skill) {
+    return next(new ErrorResponse('Skill not found', 404));
+  }
+
+  await applyChanges(skill, req.body);
+  await skill.save();
+  clearSkillIndex();
+
+  res.status(200).json({
+    success: true,
+    data: await skill.populate('related', 'name')
+  });
+});
+
+// @desc    Remove a skill from the taxonomy. Jobs and profiles keep the
+//          name as plain text.
+// @route   DELETE /api/skills/:id
+// @access  Private/Admin
+exports.deleteSkill = asyncHandler(async (req, res, next) => {
+  const skill = await Skill.findById(req.params.id);
+  if (!skill) {
+    return next(new ErrorResponse('Skill not found', 404));
+  }
+
+  await skill.deleteOne();
+  await Skill.updateMany({ related: skill._id }, { $pull: { related: skill._id } });
+  clearSkillIndex();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -2,6 +2,7 @@ const Application = require('../models/Application');
 const Job = require('../models/Job');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const notify = require('../utils/notify');
 
 // @desc    Get all applications for tracker
 // @route   GET /api/tracker
@@ -11,7 +12,7 @@ exports.getApplications = asyncHandler(async (req, res, next) => {
   
   // Get applications with populated job data
   const applications = await Application.find({ user: userId })
-    .populate('job', 'title company location salary type experience')
+    .populate('job', 'title company location salary type experience status applicationDeadline')
     .sort('-updatedAt');
 
   // Organize applications by status
@@ -54,25 +55,48 @@ exports.updateApplicationStatus = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to update this application', 403));
   }
 
+  const previousStatus = application.status;
+
   // Update status and timestamps
   const updateData = { status, updatedAt: Date.now() };
   
   // Set appliedDate if status is changing to 'applied'
-  if (status === 'applied' && application.status !== 'applied') {
+  if (status === 'applied' && previousStatus !== 'applied') {
     updateData.appliedDate = Date.now();
   }
   
   // Set responseDate if status is changing to offer or rejected
   if ((status === 'offer' || status === 'rejected') && 
-      application.status !== 'offer' && application.status !== 'rejected') {
+      previousStatus !== 'offer' && previousStatus !== 'rejected') {
     updateData.responseDate = Date.now();
   }
 
+  if (status !== previousStatus) {
+    updateData.$push = { statusHistory: { status, changedAt: Date.now() } };
+
+    // Reminders only run while interviewing, so leaving it cancels the
+    // pending ones in the same update the status notice below reports
+    application.status = status;
+    updateData.interviewReminders = application.scheduleInterviewReminders(req.user.timezone);
+  }
+
   const updatedApplication = await Application.findByIdAndUpdate(
     req.params.id,
     updateData,
     { new: true, runValidators: true }
-  ).populate('job', 'title company location salary type experience');
+  ).populate('job', 'title company location salary type experience status applicationDeadline');
+
+  if (status !== previousStatus) {
+    const { STATUS_LABELS } = Application;
+    const job = updatedApplication.job;
+    await notify(userId, {
+      type: 'application_status',
+      title: `${job ? `${job.title} at ${job.company}` : 'Application'} moved to ${STATUS_LABELS[status]}`,
+      message: `Status changed from ${STATUS_LABELS[previousStatus]} to ${STATUS_LABELS[status]}`,
+      link: '/tracker',
+      data: { application: application._id, job: application.job, from: previousStatus, to: status }
+    });
+  }
 
   res.status(200).json({
     success: true,
@@ -93,7 +117,7 @@ exports.createApplication = asyncHandler(async (req, res, next) => {
 
   // Check if job exists
   const job = await Job.findById(jobId);
-  if (!job) {
+  if (!job || !job.isVisibleTo(req.user)) {
     return next(new ErrorResponse('Job not found', 404));
   }
 
@@ -115,7 +139,7 @@ exports.createApplication = asyncHandler(async (req, res, next) => {
   });
 
   // Populate job data
-  await application.populate('job', 'title company location salary type experience');
+  await application.populate('job', 'title company location salary type experience status applicationDeadline');
 
   res.status(201).json({
     success: true,
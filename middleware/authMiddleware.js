@@ -1,7 +1,54 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
 const ErrorResponse = require('../utils/errorResponse');
 
+// Only write lastUsedAt this often to avoid a database write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Authenticate a personal access token against the scopes the route declared
+const authenticateApiToken = async (token, req, next) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: ApiToken.hashToken(token) });
+
+  if (!apiToken || !apiToken.isUsable()) {
+    return next(new ErrorResponse('Not authorized to access this route', 401));
+  }
+
+  // Routes have to opt in to API tokens through protectScoped
+  if (!req.requiredScopes) {
+    return next(new ErrorResponse('API tokens cannot be used for this route', 403));
+  }
+
+  const missingScopes = req.requiredScopes.filter(scope => !apiToken.scopes.includes(scope));
+  if (missingScopes.length > 0) {
+    return next(
+      new ErrorResponse(`API token is missing the required scope: ${missingScopes.join(', ')}`, 403)
+    );
+  }
+
+  req.user = await User.findById(apiToken.user);
+
+  if (!req.user) {
+    return next(new ErrorResponse('Not authorized to access this route', 401));
+  }
+
+  if (req.user.suspended) {
+    return next(new ErrorResponse('Your account has been suspended', 403));
+  }
+
+  req.apiToken = apiToken;
+
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    await ApiToken.updateOne(
+      { _id: apiToken._id },
+      { lastUsedAt: Date.now(), lastUsedIp: req.ip }
+    );
+  }
+
+  next();
+};
+
 // Protect routes
 exports.protect = async (req, res, next) => {
   let token;
@@ -23,21 +70,57 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
+    if (ApiToken.isApiToken(token)) {
+      return await authenticateApiToken(token, req, next);
+    }
+
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Access tokens are tied to a session so logging out or revoking
+    // a device takes effect before the token itself expires
+    if (!decoded.sid || !(await Session.isActive(decoded.sid))) {
+      return next(new ErrorResponse('Not authorized to access this route', 401));
+    }
+
     req.user = await User.findById(decoded.id);
+    req.sessionId = decoded.sid;
 
     if (!req.user) {
       return next(new ErrorResponse('Not authorized to access this route', 401));
     }
 
+    if (req.user.suspended) {
+      return next(new ErrorResponse('Your account has been suspended', 403));
+    }
+
     next();
   } catch (err) {
     return next(new ErrorResponse('Not authorized to access this route', 401));
   }
 };
 
+// Protect a route that personal access tokens may also call, provided the
+// token carries every listed scope. Browser sessions are not scope-limited.
+exports.protectScoped = (...scopes) => [
+  (req, res, next) => {
+    req.requiredScopes = scopes;
+    next();
+  },
+  exports.protect
+];
+
+// Identify the caller on public routes when they are signed in, without
+// rejecting anonymous requests
+exports.optionalAuth = (req, res, next) => {
+  exports.protect(req, res, (err) => {
+    if (err) {
+      req.user = undefined;
+    }
+    next();
+  });
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Personal access tokens let scripts call the API without a browser session.
+// Only a hash is stored; the raw token is shown once at creation.
+
+const TOKEN_PREFIX = 'cp_';
+
+const SCOPES = [
+  'applications:read',
+  'applications:write',
+  'jobs:read',
+  'jobs:write',
+  'analytics:read',
+  'export'
+];
+
+const ApiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please give the token a name'],
+    trim: true,
+    maxlength: [50, 'Token name cannot be more than 50 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token so users can tell tokens apart
+  displayPrefix: {
+    type: String
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'Please select at least one scope']
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ApiTokenSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+ApiTokenSchema.statics.isApiToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+// Generate a new raw token and set its hash on the document
+ApiTokenSchema.methods.generateToken = function() {
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  this.tokenHash = this.constructor.hashToken(token);
+  this.displayPrefix = token.slice(0, TOKEN_PREFIX.length + 6);
+  return token;
+};
+
+ApiTokenSchema.methods.isUsable = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+ApiTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiToken', ApiTokenSchema);
@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { zonedTimeToUtc } = require('../utils/timezone');
+
+// Reminders go out this long before an interview
+const REMINDER_OFFSETS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '1h': 60 * 60 * 1000
+};
+
+// Without an interview time we assume a morning slot and only send the
+// day-before reminder
+const DEFAULT_INTERVIEW_HOUR = 9;
 
 const ApplicationSchema = new mongoose.Schema({
   job: {
@@ -22,6 +33,15 @@ const ApplicationSchema = new mongoose.Schema({
   responseDate: {
     type: Date
   },
+  // Every status the application has been in, oldest first
+  statusHistory: [{
+    _id: false,
+    status: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   salary: {
     type: Number
   },
@@ -48,12 +68,153 @@ const ApplicationSchema = new mongoose.Schema({
   },
   interviewLocation: {
     type: String
-  }
+  },
+  // Upcoming interview reminders, rebuilt whenever the interview changes
+  interviewReminders: [{
+    kind: {
+      type: String,
+      enum: Object.keys(REMINDER_OFFSETS)
+    },
+    interviewAt: Date,
+    sendAt: Date,
+    sentAt: Date
+  }],
+  // Recruiter emails the user confirmed as belonging to this application
+  emails: [{
+    recruiterEmail: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'RecruiterEmail'
+    },
+    from: String,
+    subject: String,
+    receivedAt: Date,
+    snippet: String,
+    statusApplied: String,
+    attachedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 });
 
-// Update the updatedAt field before saving
+ApplicationSchema.index({ 'interviewReminders.sendAt': 1 });
+
+ApplicationSchema.statics.STATUS_LABELS = {
+  saved: 'Saved',
+  applied: 'Applied',
+  interviewing: 'Interviewing',
+  offer: 'Offer',
+  rejected: 'Rejected'
+};
+
+// Change the status, stamping the applied and response dates the same way
+// the tracker does
+ApplicationSchema.methods.setStatus = function(status) {
+  const previous = this.status;
+  this.status = status;
+
+  if (status === 'applied' && previous !== 'applied') {
+    this.appliedDate = Date.now();
+  }
+
+  if ((status === 'offer' || status === 'rejected') &&
+      previous !== 'offer' && previous !== 'rejected') {
+    this.responseDate = Date.now();
+  }
+};
+
+// Interviews in the next `days` days, as listed on the dashboard
+ApplicationSchema.statics.findUpcomingInterviews = function(userId, days = 7) {
+  const until = new Date();
+  until.setDate(until.getDate() + days);
+
+  return this.find({
+    user: userId,
+    status: 'interviewing',
+    interviewDate: { $gte: new Date(), $lte: until }
+  }).populate('job', 'title company location');
+};
+
+// Parse "14:30", "2:30 PM" or "2pm" into hours and minutes
+const parseInterviewTime = (value) => {
+  const match = String(value || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2] || '0', 10);
+  const meridiem = match[3] && match[3][0].toLowerCase();
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === 'p' ? 12 : 0);
+  }
+
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+};
+
+// Work out when the interview starts in the user's time zone.
+// interviewDate carries the calendar day, interviewTime the local time.
+ApplicationSchema.methods.getInterviewStart = function(timeZone = 'UTC') {
+  if (!this.interviewDate) return null;
+
+  const date = new Date(this.interviewDate);
+  const time = parseInterviewTime(this.interviewTime);
+
+  return {
+    start: zonedTimeToUtc({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: time ? time.hour : DEFAULT_INTERVIEW_HOUR,
+      minute: time ? time.minute : 0
+    }, timeZone),
+    hasTime: !!time
+  };
+};
+
+// Rebuild the reminder schedule from the current status and interview
+// fields. Only interviewing applications get reminders. Reminders that are
+// already sent for the same interview slot are kept so they don't go out
+// twice; anything else is replaced.
+ApplicationSchema.methods.scheduleInterviewReminders = function(timeZone) {
+  const interview = this.status === 'interviewing' ? this.getInterviewStart(timeZone) : null;
+  const now = Date.now();
+  const reminders = [];
+
+  if (interview && interview.start.getTime() > now) {
+    const kinds = interview.hasTime ? Object.keys(REMINDER_OFFSETS) : ['24h'];
+
+    kinds.forEach(kind => {
+      const sendAt = new Date(interview.start.getTime() - REMINDER_OFFSETS[kind]);
+      const existing = this.interviewReminders.find(reminder =>
+        reminder.kind === kind &&
+        reminder.interviewAt &&
+        reminder.interviewAt.getTime() === interview.start.getTime()
+      );
+
+      if (existing) {
+        reminders.push(existing);
+      } else if (sendAt.getTime() > now) {
+        reminders.push({ kind, interviewAt: interview.start, sendAt });
+      }
+    });
+  }
+
+  this.interviewReminders = reminders;
+  return this.interviewReminders;
+};
+
+// Update the updatedAt field and status history before saving. The entry
+// for the starting status is dated at creation so it can be told apart from
+// later changes.
 ApplicationSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  if (this.isNew) {
+    this.statusHistory.push({ status: this.status, changedAt: this.createdAt });
+  } else if (this.isModified('status')) {
+    this.statusHistory.push({ status: this.status });
+  }
   next();
 });
 
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const AUDIT_EVENTS = [
+  'login',
+  'login_failed',
+  'magic_link_requested',
+  'logout',
+  'account_locked',
+  'account_unlocked',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'password_changed',
+  'password_reset_requested',
+  'password_reset',
+  'password_reset_forced',
+  'email_verified',
+  'email_change_requested',
+  'email_changed',
+  'email_change_reverted',
+  'avatar_uploaded',
+  'role_changed',
+  'account_suspended',
+  'account_reactivated',
+  'resume_uploaded',
+  'resume_deleted',
+  'session_revoked',
+  'api_token_created',
+  'api_token_revoked',
+  'jobs_merged'
+];
+
+const AuditLogSchema = new mongoose.Schema({
+  // The account the event happened to; empty for failed logins on unknown emails
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Who performed the action when it wasn't the user themselves (e.g. an admin)
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  event: {
+    type: String,
+    enum: AUDIT_EVENTS,
+    required: true
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditLogSchema.index({ user: 1, createdAt: -1 });
+AuditLogSchema.index({ event: 1, createdAt: -1 });
+AuditLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: (parseInt(process.env.AUDIT_LOG_RETENTION_DAYS, 10) || 365) * 24 * 60 * 60 }
+);
+
+AuditLogSchema.statics.EVENTS = AUDIT_EVENTS;
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// Failure counters for login and reset attempts, keyed by account or IP.
+// Kept in MongoDB so lockouts survive restarts and apply across instances.
+
+const POLICIES = {
+  account: {
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5,
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15
+  },
+  ip: {
+    maxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20,
+    lockMinutes: parseInt(process.env.LOGIN_IP_LOCK_MINUTES, 10) || 15
+  },
+  reset: {
+    maxFailures: parseInt(process.env.RESET_MAX_FAILURES, 10) || 15,
+    lockMinutes: parseInt(process.env.RESET_LOCK_MINUTES, 10) || 60
+  }
+};
+
+// Failures before each further attempt has to wait, doubling up to the cap
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 60;
+
+// Counters are forgotten a day after the last failure
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const AuthThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+AuthThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const progressiveDelay = (failures) => {
+  if (failures < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+};
+
+AuthThrottleSchema.statics.accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+AuthThrottleSchema.statics.ipKey = (ip) => `ip:${ip}`;
+AuthThrottleSchema.statics.resetKey = (email) => `reset:${String(email).trim().toLowerCase()}`;
+
+// Find the first key that is locked or still inside its progressive delay.
+// Returns null when the attempt may go ahead.
+AuthThrottleSchema.statics.check = async function(keys) {
+  const now = Date.now();
+  const records = await this.find({ key: { $in: keys } });
+
+  for (const record of records) {
+    if (record.lockedUntil && record.lockedUntil > now) {
+      return {
+        key: record.key,
+        locked: true,
+        retryAfter: Math.ceil((record.lockedUntil - now) / 1000)
+      };
+    }
+
+    const delayUntil = record.lastFailureAt
+      ? record.lastFailureAt.getTime() + progressiveDelay(record.failures) * 1000
+      : 0;
+
+    if (delayUntil > now) {
+      return {
+        key: record.key,
+        locked: false,
+        retryAfter: Math.ceil((delayUntil - now) / 1000)
+      };
+    }
+  }
+
+  return null;
+};
+
+// Count a failure against a key, locking it once the policy limit is hit.
+// Reports whether this failure is the one that locked the key.
+AuthThrottleSchema.statics.recordFailure = async function(key, policyName) {
+  const policy = POLICIES[policyName];
+  const now = Date.now();
+
+  const record = await this.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: now + FAILURE_WINDOW_MS }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  let justLocked = false;
+  if (record.failures >= policy.maxFailures) {
+    // Start the next lock period with a clean counter
+    record.lockedUntil = now + policy.lockMinutes * 60 * 1000;
+    record.failures = 0;
+    record.lastFailureAt = undefined;
+    record.expiresAt = Math.max(now + FAILURE_WINDOW_MS, record.lockedUntil);
+    await record.save();
+    justLocked = true;
+  }
+
+  return { justLocked, lockedUntil: record.lockedUntil };
+};
+
+AuthThrottleSchema.statics.clear = function(key) {
+  return this.deleteOne({ key });
+};
+
+module.exports = mongoose.model('AuthThrottle', AuthThrottleSchema);
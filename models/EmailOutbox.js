@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Every outgoing email is written here before delivery is attempted, so a
+// failed send can be retried by the outbox worker instead of being lost.
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 6;
+
+// Sent and failed messages are kept for a while for troubleshooting
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const EmailOutboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  // Rendered bodies; cleared once sent so codes and links aren't kept around
+  html: String,
+  text: String,
+  unsubscribeUrl: String,
+  status: {
+    type: String,
+    // suppressed: dropped because the address opted out of this kind of email
+    enum: ['pending', 'sending', 'sent', 'failed', 'suppressed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: MAX_ATTEMPTS
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: RETENTION_SECONDS
+  }
+});
+
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Wait before the next attempt: 1, 2, 4, ... minutes, capped at 6 hours
+EmailOutboxSchema.statics.backoffMs = function(attempts) {
+  return Math.min(Math.pow(2, attempts - 1) * 60 * 1000, 6 * 60 * 60 * 1000);
+};
+
+module.exports = mongoose.model('EmailOutbox', EmailOutboxSchema);
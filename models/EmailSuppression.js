@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Addresses that must not receive non-essential email. Checked for every
+// message at delivery time; security emails are exempt.
+
+const EmailSuppressionSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: ['unsubscribed', 'bounced', 'complained', 'manual'],
+    default: 'unsubscribed'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+EmailSuppressionSchema.statics.isSuppressed = async function(email) {
+  return !!(await this.exists({ email: String(email).toLowerCase() }));
+};
+
+// Add an address, keeping the original reason if it is already suppressed
+EmailSuppressionSchema.statics.suppress = function(email, reason = 'unsubscribed') {
+  return this.findOneAndUpdate(
+    { email: String(email).toLowerCase() },
+    { $setOnInsert: { reason, createdAt: Date.now() } },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('EmailSuppression', EmailSuppressionSchema);
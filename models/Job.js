@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const { PERIODS, annualizeSalary } = require('../utils/salary');
+const { WORK_MODES, describeJobLocation } = require('../utils/geocoder');
+
+// Postings without a deadline expire this long after they were posted
+const MAX_AGE_DAYS = parseInt(process.env.JOB_MAX_AGE_DAYS, 10) || 60;
+
+// GeoJSON point, [longitude, latitude]
+const PointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true
+  }
+}, { _id: false });
 
 const JobSchema = new mongoose.Schema({
   title: {
@@ -18,9 +36,60 @@ const JobSchema = new mongoose.Schema({
     required: [true, 'Please add a location'],
     trim: true
   },
-  salary: {
+  workMode: {
     type: String,
-    default: ''
+    enum: WORK_MODES
+  },
+  // The place named in location, filled in by the hooks below from the
+  // gazetteer (see utils/geocoder)
+  locationDetails: {
+    city: String,
+    region: String,
+    country: String,
+    countryCode: String,
+    timezone: String,
+    point: {
+      type: PointSchema,
+      default: undefined
+    },
+    // UTC offsets in hours the job can be done from. Unset for remote jobs
+    // open to anywhere.
+    utcOffsetMin: Number,
+    utcOffsetMax: Number
+  },
+  salary: {
+    min: {
+      type: Number,
+      min: [0, 'Salary cannot be negative']
+    },
+    max: {
+      type: Number,
+      min: [0, 'Salary cannot be negative'],
+      validate: {
+        validator: function(value) {
+          const min = this.get ? this.get('salary.min') : undefined;
+          return value === undefined || value === null || min === undefined || min === null || value >= min;
+        },
+        message: 'Salary max cannot be less than min'
+      }
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code']
+    },
+    period: {
+      type: String,
+      enum: PERIODS
+    },
+    // As written in the posting
+    text: String
+  },
+  // Yearly salary range in the base currency. Kept in sync by the hooks
+  // below and used for salary filters and sorting.
+  salaryAnnual: {
+    min: Number,
+    max: Number
   },
   type: {
     type: String,
@@ -46,6 +115,31 @@ const JobSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Public postings come from recruiters and admins; job seekers keep
+  // private entries that only they can see
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'public'
+  },
+  // Applications close at the end of this moment; the posting expires then
+  applicationDeadline: {
+    type: Date
+  },
+  // Closed by the poster, or expired by the sweep in utils/jobExpiry
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'expired'],
+    default: 'open'
+  },
+  // When an open posting is due to expire: its deadline, or a while after
+  // it was posted or reopened
+  expiresAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -60,4 +154,99 @@ const JobSchema = new mongoose.Schema({
   }]
 });
 
+JobSchema.index({ visibility: 1, createdAt: -1 });
+JobSchema.index({ status: 1, expiresAt: 1 });
+
+// Full-text search, with matches in the title counting most
+JobSchema.index(
+  { title: 'text', company: 'text', skills: 'text', description: 'text' },
+  {
+    name: 'job_text',
+    weights: { title: 10, company: 5, skills: 5, description: 1 }
+  }
+);
+
+JobSchema.index({ 'salaryAnnual.max': 1, 'salaryAnnual.min': 1 });
+
+JobSchema.index({ 'locationDetails.point': '2dsphere' });
+
+JobSchema.statics.CLOSED_STATUSES = ['closed', 'expired'];
+
+JobSchema.statics.MAX_AGE_DAYS = MAX_AGE_DAYS;
+
+// Filter for postings that are still open. Postings from before statuses
+// existed have none and count as open.
+JobSchema.statics.openFilter = function() {
+  return { status: { $nin: [...this.CLOSED_STATUSES] } };
+};
+
+// When a posting that opens at `from` should expire
+JobSchema.statics.expiryDate = function(applicationDeadline, from = new Date()) {
+  if (applicationDeadline) return new Date(applicationDeadline);
+  return new Date(new Date(from).getTime() + MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+JobSchema.methods.isClosed = function() {
+  return this.constructor.CLOSED_STATUSES.includes(this.status);
+};
+
+JobSchema.pre('save', function(next) {
+  if (this.isNew && !this.expiresAt) {
+    this.expiresAt = this.constructor.expiryDate(this.applicationDeadline, this.createdAt);
+  }
+  if (this.isModified('salary')) {
+    this.salaryAnnual = annualizeSalary(this.salary) || undefined;
+  }
+  if (this.isNew || this.isModified('location') || this.isModified('type') || this.isModified('workMode')) {
+    const { workMode, locationDetails } = describeJobLocation({
+      location: this.location,
+      type: this.type,
+      workMode: this.isNew || this.isModified('workMode') ? this.workMode : undefined,
+      currentWorkMode: this.workMode
+    });
+    this.workMode = workMode;
+    this.locationDetails = locationDetails;
+  }
+  next();
+});
+
+JobSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const updated = (field) => (update.$set && update.$set[field] !== undefined ? update.$set[field] : update[field]);
+
+  const salary = updated('salary');
+  if (salary !== undefined) {
+    this.set('salaryAnnual', annualizeSalary(salary));
+  }
+
+  const [location, type, workMode] = ['location', 'type', 'workMode'].map(updated);
+  if (location === undefined && type === undefined && workMode === undefined) return;
+
+  const current = await this.model.findOne(this.getQuery()).select('location type workMode');
+  if (!current) return;
+
+  const fields = describeJobLocation({
+    location: location === undefined ? current.location : location,
+    type: type === undefined ? current.type : type,
+    workMode,
+    currentWorkMode: current.workMode
+  });
+
+  this.set('workMode', fields.workMode);
+  if (fields.locationDetails) {
+    this.set('locationDetails', fields.locationDetails);
+  } else {
+    this.setUpdate({ ...this.getUpdate(), $unset: { ...this.getUpdate().$unset, locationDetails: 1 } });
+  }
+});
+
+// Private entries are only visible to the person who added them (and admins)
+JobSchema.methods.isVisibleTo = function(user) {
+  if (this.visibility !== 'private') return true;
+  if (!user) return false;
+
+  const ownerId = (this.postedBy._id || this.postedBy).toString();
+  return ownerId === user.id || user.role === 'admin';
+};
+
 module.exports = mongoose.model('Job', JobSchema);
\ No newline at end of file
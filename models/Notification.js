@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'application_status',
+  'saved_job_updated',
+  'saved_job_deleted',
+  'ai_insight',
+  'interview_upcoming',
+  'saved_search_match'
+];
+
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  // Frontend path to open when the notification is clicked
+  link: {
+    type: String,
+    default: ''
+  },
+  // Ids of the related records, e.g. { job, application }
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+NotificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: (parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 90) * 24 * 60 * 60 }
+);
+
+NotificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A recruiter email the user imported, with the tracker update we propose
+// for it. Nothing changes on the application until the user confirms.
+
+const RecruiterEmailSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['upload', 'inbound'],
+    required: true
+  },
+  from: {
+    name: String,
+    address: String
+  },
+  subject: {
+    type: String,
+    default: ''
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  receivedAt: Date,
+  forwarded: {
+    type: Boolean,
+    default: false
+  },
+  // Best matching application, plus the runners-up to choose from
+  application: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Application'
+  },
+  candidates: [{
+    _id: false,
+    application: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Application'
+    },
+    score: Number
+  }],
+  proposedStatus: {
+    type: String,
+    enum: ['saved', 'applied', 'interviewing', 'offer', 'rejected']
+  },
+  // The phrase that suggested the status, shown to the user as the reason
+  matchedPhrase: String,
+  proposedInterviewDate: Date,
+  proposedInterviewTime: String,
+  status: {
+    type: String,
+    enum: ['pending', 'applied', 'dismissed'],
+    default: 'pending'
+  },
+  resolvedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RecruiterEmailSchema.index({ user: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RecruiterEmail', RecruiterEmailSchema);
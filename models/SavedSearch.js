@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// A job listing query saved under a name, with optional alerts when new
+// postings match it.
+
+const QUERY_FIELDS = [
+  'search', 'jobType', 'location', 'experience', 'salary', 'salaryMin', 'salaryMax', 'currency', 'period',
+  'workMode', 'near', 'radius', 'timezone', 'timezoneRange'
+];
+
+const ALERT_FREQUENCIES = ['off', 'hourly', 'daily', 'weekly'];
+const ALERT_CHANNELS = ['in_app', 'email', 'both'];
+
+const ALERT_INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const SavedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please give the search a name'],
+    trim: true,
+    maxlength: [100, 'Search name cannot be more than 100 characters']
+  },
+  // The getJobs query string parameters, as given
+  query: QUERY_FIELDS.reduce((fields, field) => {
+    fields[field] = { type: String, trim: true, maxlength: 200 };
+    return fields;
+  }, {}),
+  alerts: {
+    frequency: {
+      type: String,
+      enum: ALERT_FREQUENCIES,
+      default: 'daily'
+    },
+    channel: {
+      type: String,
+      enum: ALERT_CHANNELS,
+      default: 'in_app'
+    }
+  },
+  // Jobs created after this are "new" to the user
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Jobs created after this haven't been alerted yet
+  lastAlertedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Null while alerts are off
+  nextAlertAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SavedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+SavedSearchSchema.index({ nextAlertAt: 1 });
+
+// Plan the next alert run after `from`, or none when alerts are off
+SavedSearchSchema.methods.scheduleNextAlert = function(from = new Date()) {
+  const interval = ALERT_INTERVALS[this.alerts.frequency];
+  this.nextAlertAt = interval ? new Date(from.getTime() + interval) : null;
+};
+
+// The saved parameters without empty fields, ready for buildJobFilter
+SavedSearchSchema.methods.queryParams = function() {
+  return QUERY_FIELDS.reduce((params, field) => {
+    if (this.query && this.query[field]) params[field] = this.query[field];
+    return params;
+  }, {});
+};
+
+SavedSearchSchema.statics.QUERY_FIELDS = QUERY_FIELDS;
+SavedSearchSchema.statics.ALERT_FREQUENCIES = ALERT_FREQUENCIES;
+SavedSearchSchema.statics.ALERT_CHANNELS = ALERT_CHANNELS;
+SavedSearchSchema.statics.ALERT_INTERVALS = ALERT_INTERVALS;
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
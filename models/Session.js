@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How many rotated-out refresh tokens to remember for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    index: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    index: true
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  }
+});
+
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Turn a user agent string into a short label such as "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+const refreshTokenLifetime = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Hash a refresh token for storage and lookup
+SessionSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// Build a new session for a user from the incoming request
+SessionSchema.statics.fromRequest = function(user, req) {
+  const userAgent = req.headers['user-agent'] || '';
+
+  return new this({
+    user: user._id,
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    expiresAt: Date.now() + refreshTokenLifetime()
+  });
+};
+
+// Revoke every active session belonging to a user
+SessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, {
+    revokedAt: Date.now(),
+    revokedReason: reason
+  });
+};
+
+// Check whether an access token's session is still usable
+SessionSchema.statics.isActive = async function(sessionId) {
+  const session = await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: Date.now() }
+  });
+  return !!session;
+};
+
+// Issue a new refresh token, remembering the old one so reuse can be detected
+SessionSchema.methods.rotateRefreshToken = function() {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  if (this.refreshTokenHash) {
+    this.previousTokenHashes = [...this.previousTokenHashes, this.refreshTokenHash]
+      .slice(-MAX_PREVIOUS_TOKENS);
+  }
+
+  this.refreshTokenHash = this.constructor.hashToken(refreshToken);
+  this.lastUsedAt = Date.now();
+  this.expiresAt = Date.now() + refreshTokenLifetime();
+
+  return refreshToken;
+};
+
+// Swap a session's current refresh token for a new one in a single update,
+// so two requests presenting the same token can't both rotate it. Resolves
+// to { session, refreshToken }, or null when no usable session holds that
+// token any more.
+SessionSchema.statics.rotateRefreshToken = async function(currentHash) {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  const session = await this.findOneAndUpdate(
+    {
+      refreshTokenHash: currentHash,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() }
+    },
+    {
+      $set: {
+        refreshTokenHash: this.hashToken(refreshToken),
+        lastUsedAt: Date.now(),
+        expiresAt: Date.now() + refreshTokenLifetime()
+      },
+      $push: {
+        previousTokenHashes: { $each: [currentHash], $slice: -MAX_PREVIOUS_TOKENS }
+      }
+    },
+    { new: true }
+  );
+
+  return session && { session, refreshToken };
+};
+
+SessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+SessionSchema.methods.isUsable = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
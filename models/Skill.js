@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const skillKey = require('../utils/skillKey');
+const { SKILL_CATEGORIES } = require('../config/skills');
+
+// An entry in the skill taxonomy: the canonical way to write a skill and the
+// other spellings that mean the same thing.
+
+const SkillSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a skill name'],
+    trim: true,
+    maxlength: [50, 'Skill name cannot be more than 50 characters']
+  },
+  category: {
+    type: String,
+    enum: SKILL_CATEGORIES,
+    default: 'other'
+  },
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Alias cannot be more than 50 characters']
+  }],
+  related: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Skill'
+  }],
+  // Lookup keys of the name and aliases; no two skills may share one
+  keys: {
+    type: [String],
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SkillSchema.index({ keys: 1 }, { unique: true });
+SkillSchema.index({ category: 1, name: 1 });
+
+SkillSchema.pre('validate', function(next) {
+  const aliasKeys = new Set();
+  this.aliases = this.aliases.filter(alias => {
+    const key = skillKey(alias);
+    if (!key || key === skillKey(this.name || '') || aliasKeys.has(key)) return false;
+    aliasKeys.add(key);
+    return true;
+  });
+
+  this.keys = [...new Set([skillKey(this.name || ''), ...aliasKeys])].filter(Boolean);
+  next();
+});
+
+SkillSchema.statics.CATEGORIES = SKILL_CATEGORIES;
+
+module.exports = mongoose.model('Skill', SkillSchema);
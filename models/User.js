@@ -2,6 +2,11 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { isValidTimeZone } = require('../utils/timezone');
+
+// How long the old address can cancel or undo an email change
+const EMAIL_REVERT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -26,9 +31,32 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'recruiter', 'admin'],
     default: 'user'
   },
+  recruiterApplication: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    company: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Company name cannot be more than 100 characters']
+    },
+    website: String,
+    message: {
+      type: String,
+      maxlength: [1000, 'Message cannot be more than 1000 characters']
+    },
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    reviewNote: String
+  },
   password: {
     type: String,
     required: [true, 'Please add a password'],
@@ -64,14 +92,107 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Opt-ins for non-essential email. Security emails are always sent.
+  notificationPreferences: {
+    weeklyDigest: {
+      type: Boolean,
+      default: false
+    },
+    interviewReminders: {
+      type: Boolean,
+      default: true
+    },
+    // Email for saved search alerts; in-app alerts follow each search's channel
+    searchAlerts: {
+      type: Boolean,
+      default: true
+    },
+    // Applications without a response this long are flagged in the digest
+    staleApplicationDays: {
+      type: Number,
+      default: 14,
+      min: [1, 'Stale application days must be at least 1'],
+      max: [90, 'Stale application days cannot be more than 90']
+    }
+  },
+  digestLastSentAt: Date,
+  // IANA time zone used for reminders, e.g. "Europe/Berlin"
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please add a valid time zone'
+    }
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  resetPasswordAttempts: {
+    type: Number,
+    default: 0
+  },
+  unlockToken: String,
+  unlockExpire: Date,
+  magicLinkToken: String,
+  magicLinkExpire: Date,
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  suspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: Date,
+  suspendedReason: String,
+  deletionRequestedAt: Date,
+  deletionScheduledAt: Date,
   emailVerified: {
     type: Boolean,
     default: false
   },
   emailVerifyToken: String,
   emailVerifyExpire: Date,
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  pendingEmailToken: String,
+  pendingEmailExpire: Date,
+  emailChangeCancelToken: String,
+  emailChangeCancelExpire: Date,
+  // After a change is confirmed the old address can still undo it for a
+  // while, in case the change came from a hijacked session
+  previousEmail: {
+    type: String,
+    lowercase: true
+  },
+  emailRevertToken: String,
+  emailRevertExpire: Date,
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -91,17 +212,17 @@ const UserSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// Sign a short-lived access token bound to a login session
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
   });
 };
 
@@ -121,6 +242,29 @@ UserSchema.methods.getResetPasswordToken = function() {
   return resetToken;
 };
 
+// Generate 6-digit password reset code
+UserSchema.methods.getResetPasswordCode = function() {
+  const resetCode = crypto.randomInt(100000, 1000000).toString();
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetCode)
+    .digest('hex');
+  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
+  this.resetPasswordAttempts = 0;
+  return resetCode;
+};
+
+// Generate single-use passwordless sign-in token
+UserSchema.methods.getMagicLinkToken = function() {
+  const magicToken = crypto.randomBytes(32).toString('hex');
+  this.magicLinkToken = crypto
+    .createHash('sha256')
+    .update(magicToken)
+    .digest('hex');
+  this.magicLinkExpire = Date.now() + 15 * 60 * 1000; // 15 minutes
+  return magicToken;
+};
+
 // Generate email verification token
 UserSchema.methods.getEmailVerifyToken = function() {
   const verifyToken = crypto.randomBytes(20).toString('hex');
@@ -132,4 +276,122 @@ UserSchema.methods.getEmailVerifyToken = function() {
   return verifyToken;
 };
 
+// Generate the tokens for an email change: one confirms the new address,
+// the other lets the old address cancel the change
+UserSchema.methods.getEmailChangeTokens = function(newEmail) {
+  const confirmToken = crypto.randomBytes(20).toString('hex');
+  const cancelToken = crypto.randomBytes(20).toString('hex');
+
+  this.pendingEmail = newEmail;
+  this.pendingEmailToken = crypto
+    .createHash('sha256')
+    .update(confirmToken)
+    .digest('hex');
+  this.emailChangeCancelToken = crypto
+    .createHash('sha256')
+    .update(cancelToken)
+    .digest('hex');
+  this.pendingEmailExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  this.emailChangeCancelExpire = Date.now() + EMAIL_REVERT_WINDOW_MS;
+
+  return { confirmToken, cancelToken };
+};
+
+UserSchema.methods.clearPendingEmail = function() {
+  this.pendingEmail = undefined;
+  this.pendingEmailToken = undefined;
+  this.pendingEmailExpire = undefined;
+  this.emailChangeCancelToken = undefined;
+  this.emailChangeCancelExpire = undefined;
+};
+
+// Switch to the confirmed pending email. The old address's cancel link
+// keeps working as a revert link for a week. If an earlier change can still
+// be reverted, that one is kept, so a second change made from the same
+// session can't take the original owner's link away.
+UserSchema.methods.applyPendingEmail = function() {
+  const canRevertEarlier = this.emailRevertToken && this.emailRevertExpire > Date.now();
+
+  if (!canRevertEarlier) {
+    this.previousEmail = this.email;
+    this.emailRevertToken = this.emailChangeCancelToken;
+    this.emailRevertExpire = Date.now() + EMAIL_REVERT_WINDOW_MS;
+  }
+
+  this.email = this.pendingEmail;
+  this.emailVerified = true;
+  this.clearPendingEmail();
+};
+
+// Go back to the address used before the last confirmed change
+UserSchema.methods.revertEmailChange = function() {
+  this.email = this.previousEmail;
+  this.emailVerified = true;
+  this.previousEmail = undefined;
+  this.emailRevertToken = undefined;
+  this.emailRevertExpire = undefined;
+  this.clearPendingEmail();
+};
+
+// Generate account unlock token sent when a login lockout kicks in
+UserSchema.methods.getUnlockToken = function() {
+  const unlockToken = crypto.randomBytes(20).toString('hex');
+  this.unlockToken = crypto
+    .createHash('sha256')
+    .update(unlockToken)
+    .digest('hex');
+  this.unlockExpire = Date.now() + 60 * 60 * 1000; // 1 hour
+  return unlockToken;
+};
+
+// Sign a short-lived token proving the password step of a 2FA login passed
+UserSchema.methods.getTwoFactorChallengeToken = function() {
+  return jwt.sign({ id: this._id, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Check a TOTP code against the enabled secret, rejecting replays of a code
+// that was already used
+UserSchema.methods.verifyTwoFactorCode = function(code) {
+  const step = totp.verifyCode(this.twoFactorSecret, code);
+
+  if (step === null || (this.twoFactorLastStep && step <= this.twoFactorLastStep)) {
+    return false;
+  }
+
+  this.twoFactorLastStep = step;
+  return true;
+};
+
+// Generate one-time recovery codes, storing only their hashes
+UserSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: 10 }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+// Consume a recovery code, returning whether it was valid
+UserSchema.methods.useRecoveryCode = function(code) {
+  const hashedCode = crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hashedCode);
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+  exportAccountData,
+  deleteAccount,
+  cancelAccountDeletion
+} = require('../controllers/accountController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/export', exportAccountData);
+router.delete('/', deleteAccount);
+router.post('/cancel-deletion', cancelAccountDeletion);
+
+module.exports = router;
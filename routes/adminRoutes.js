@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  getUsers,
+  getUser,
+  updateUserRole,
+  suspendUser,
+  reactivateUser,
+  forcePasswordReset,
+  resendUserVerification,
+  getAuditLogs,
+  getRecruiterApplications,
+  reviewRecruiterApplication,
+  getJobDuplicates,
+  mergeJobs
+} = require('../controllers/adminController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, authorize('admin'));
+
+router.get('/users', getUsers);
+router.get('/users/:id', getUser);
+router.put('/users/:id/role', updateUserRole);
+router.put('/users/:id/suspend', suspendUser);
+router.put('/users/:id/reactivate', reactivateUser);
+router.post('/users/:id/force-password-reset', forcePasswordReset);
+router.post('/users/:id/resend-verification', resendUserVerification);
+router.get('/audit-logs', getAuditLogs);
+router.get('/recruiter-applications', getRecruiterApplications);
+router.put('/recruiter-applications/:id', reviewRecruiterApplication);
+router.get('/jobs/:id/duplicates', getJobDuplicates);
+router.post('/jobs/:id/merge', mergeJobs);
+
+module.exports = router;
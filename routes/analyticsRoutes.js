@@ -4,17 +4,17 @@ const {
   exportAnalytics,
   downloadExport
 } = require('../controllers/analyticsController');
-const { protect } = require('../middleware/authMiddleware');
+const { protectScoped } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 router.route('/')
-  .get(protect, getAnalytics);
+  .get(protectScoped('analytics:read'), getAnalytics);
 
 router.route('/export')
-  .post(protect, exportAnalytics);
+  .post(protectScoped('export'), exportAnalytics);
 
 router.route('/download/:id')
-  .get(protect, downloadExport);
+  .get(protectScoped('export'), downloadExport);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+  getApiTokenScopes
+} = require('../controllers/apiTokenController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Token management needs a real login session, never another token
+router.use(protect);
+
+router.route('/')
+  .get(getApiTokens)
+  .post(createApiToken);
+
+router.get('/scopes', getApiTokenScopes);
+router.delete('/:id', revokeApiToken);
+
+module.exports = router;
@@ -5,19 +5,16 @@ const {
   updateApplication,
   deleteApplication
 } = require('../controllers/applicationController');
-const { protect } = require('../middleware/authMiddleware');
+const { protectScoped } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
-// All routes are protected
-router.use(protect);
-
 router.route('/')
-  .post(createApplication)
-  .get(getApplications);
+  .post(protectScoped('applications:write'), createApplication)
+  .get(protectScoped('applications:read'), getApplications);
 
 router.route('/:id')
-  .put(updateApplication)
-  .delete(deleteApplication);
+  .put(protectScoped('applications:write'), updateApplication)
+  .delete(protectScoped('applications:write'), deleteApplication);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+const express = require('express');
+const { getMyAuditLog } = require('../controllers/auditController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.get('/', protect, getMyAuditLog);
+
+module.exports = router;
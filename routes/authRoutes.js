@@ -2,12 +2,27 @@ const express = require('express');
 const {
   register,
   login,
+  requestMagicLink,
+  verifyMagicLink,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   getMe,
   updateDetails,
   updatePassword,
   forgotPassword,
   resetPassword,
   verifyEmail,
+  confirmEmailChange,
+  cancelEmailChange,
+  unlockAccount,
   resendVerification,
   uploadAvatar // Add this import
 } = require('../controllers/authController');
@@ -18,12 +33,27 @@ const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/login/2fa', verifyTwoFactorLogin);
+router.post('/magic-link', requestMagicLink);
+router.post('/magic-link/verify', verifyMagicLink);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/confirm', protect, confirmTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+router.post('/refresh', refreshToken);
+router.post('/logout', logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 router.get('/me', protect, getMe);
 router.put('/updatedetails', protect, updateDetails);
 router.put('/updatepassword', protect, updatePassword);
 router.post('/forgotpassword', forgotPassword);
 router.put('/resetpassword', resetPassword);
 router.get('/verifyemail', verifyEmail);
+router.get('/confirm-email-change', confirmEmailChange);
+router.get('/cancel-email-change', cancelEmailChange);
+router.get('/unlock', unlockAccount);
 router.post('/resendverification', protect, resendVerification);
 router.post('/uploadavatar', protect, upload.single('file'), uploadAvatar); // Add this route
 
@@ -3,14 +3,14 @@ const {
   getDashboardData,
   getQuickStats
 } = require('../controllers/dashboardController');
-const { protect } = require('../middleware/authMiddleware');
+const { protectScoped } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 router.route('/')
-  .get(protect, getDashboardData);
+  .get(protectScoped('analytics:read'), getDashboardData);
 
 router.route('/quick-stats')
-  .get(protect, getQuickStats);
+  .get(protectScoped('analytics:read'), getQuickStats);
 
 module.exports = router;
\ No newline at end of file
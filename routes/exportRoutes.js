@@ -3,14 +3,14 @@ const {
   exportData,
   getExportHistory
 } = require('../controllers/exportController');
-const { protect } = require('../middleware/authMiddleware');
+const { protectScoped } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 router.route('/')
-  .post(protect, exportData);
+  .post(protectScoped('export'), exportData);
 
 router.route('/history')
-  .get(protect, getExportHistory);
+  .get(protectScoped('export'), getExportHistory);
 
 module.exports = router;
\ No newline at end of file
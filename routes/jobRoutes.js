@@ -2,25 +2,45 @@ const express = require('express');
 const {
   createJob,
   getJobs,
+  importJobDraft,
+  bulkImportJobs,
   getJob,
   updateJob,
   deleteJob,
-  toggleSaveJob
+  toggleSaveJob,
+  getPersonalJobs,
+  getMyPostings
 } = require('../controllers/jobController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protectScoped, optionalAuth, authorize } = require('../middleware/authMiddleware');
+const memoryUpload = require('../config/memoryUpload');
 
 const router = express.Router();
 
+const sheetUpload = memoryUpload({ extensions: ['.csv', '.xlsx'] });
+const rawPosting = express.text({ type: ['text/html', 'application/ld+json'], limit: '5mb' });
+
 router.route('/')
-  .post(protect, createJob)
-  .get(getJobs);
+  .post(protectScoped('jobs:write'), createJob)
+  .get(optionalAuth, getJobs);
+
+router.route('/import')
+  .post(protectScoped('jobs:write'), rawPosting, importJobDraft);
+
+router.route('/bulk-import')
+  .post(protectScoped('jobs:write'), sheetUpload.single('file'), bulkImportJobs);
+
+router.route('/personal')
+  .get(protectScoped('jobs:read'), getPersonalJobs);
+
+router.route('/my-postings')
+  .get(protectScoped('jobs:read'), authorize('recruiter', 'admin'), getMyPostings);
 
 router.route('/:id')
-  .get(getJob)
-  .put(protect, updateJob)
-  .delete(protect, deleteJob);
+  .get(optionalAuth, getJob)
+  .put(protectScoped('jobs:write'), updateJob)
+  .delete(protectScoped('jobs:write'), deleteJob);
 
 router.route('/:id/save')
-  .put(protect, toggleSaveJob);
+  .put(protectScoped('jobs:write'), toggleSaveJob);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences,
+  unsubscribe
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.post('/unsubscribe', unsubscribe);
+
+router.use(protect);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.put('/read-all', markAllRead);
+router.put('/:id/read', markRead);
+
+router.route('/preferences')
+  .get(getPreferences)
+  .put(updatePreferences);
+
+module.exports = router;
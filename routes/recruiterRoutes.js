@@ -0,0 +1,15 @@
+const express = require('express');
+const {
+  applyForRecruiter,
+  getRecruiterApplication
+} = require('../controllers/recruiterController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.post('/apply', applyForRecruiter);
+router.get('/application', getRecruiterApplication);
+
+module.exports = router;
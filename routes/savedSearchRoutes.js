@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getSavedSearches,
+  createSavedSearch,
+  getSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getNewJobs
+} = require('../controllers/savedSearchController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(getSavedSearches)
+  .post(createSavedSearch);
+
+router.route('/:id')
+  .get(getSavedSearch)
+  .put(updateSavedSearch)
+  .delete(deleteSavedSearch);
+
+router.get('/:id/new', getNewJobs);
+
+module.exports = router;
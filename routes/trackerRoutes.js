@@ -5,16 +5,36 @@ const {
   createApplication,
   deleteApplication
 } = require('../controllers/trackerController');
-const { protect } = require('../middleware/authMiddleware');
+const {
+  importRecruiterEmail,
+  getRecruiterEmails,
+  getRecruiterEmail,
+  confirmRecruiterEmail,
+  dismissRecruiterEmail
+} = require('../controllers/recruiterEmailController');
+const { protectScoped } = require('../middleware/authMiddleware');
+const memoryUpload = require('../config/memoryUpload');
  
 const router = express.Router();
 
+const emlUpload = memoryUpload({ extensions: ['.eml'] });
+const rawEmail = express.text({ type: ['message/rfc822', 'text/plain'], limit: '5mb' });
+
 router.route('/')
-  .get(protect, getApplications)
-  .post(protect, createApplication);
+  .get(protectScoped('applications:read'), getApplications)
+  .post(protectScoped('applications:write'), createApplication);
+
+// Recruiter emails: upload an .eml or post the raw message
+router.route('/emails')
+  .get(protectScoped('applications:read'), getRecruiterEmails)
+  .post(protectScoped('applications:write'), emlUpload.single('email'), rawEmail, importRecruiterEmail);
+
+router.get('/emails/:id', protectScoped('applications:read'), getRecruiterEmail);
+router.put('/emails/:id/confirm', protectScoped('applications:write'), confirmRecruiterEmail);
+router.put('/emails/:id/dismiss', protectScoped('applications:write'), dismissRecruiterEmail);
 
 router.route('/:id')
-  .put(protect, updateApplicationStatus)
-  .delete(protect, deleteApplication);
+  .put(protectScoped('applications:write'), updateApplicationStatus)
+  .delete(protectScoped('applications:write'), deleteApplication);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -13,7 +13,29 @@ const dashboardRoutes = require('./routes/dashboardRoutes');
 const applicationRoutes = require('./routes/applicationRoutes');
 const aiRoutes = require('./routes/aiRoutes');
 const resumeRoutes = require('./routes/resumeRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const accountRoutes = require('./routes/accountRoutes');
+const apiTokenRoutes = require('./routes/apiTokenRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const recruiterRoutes = require('./routes/recruiterRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const skillRoutes = require('./routes/skillRoutes');
+const { runEvery } = require('./utils/scheduler');
+const { purgeScheduledDeletions } = require('./utils/accountPurge');
+const { processOutbox } = require('./utils/email');
+const { sendDueInterviewReminders } = require('./utils/interviewReminders');
+const { sendWeeklyDigests } = require('./utils/weeklyDigest');
+const { expireJobs } = require('./utils/jobExpiry');
+const { sendSavedSearchAlerts } = require('./utils/savedSearchAlerts');
 const app = express();
+
+// Per-IP login throttling needs the client address, not the load balancer's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(cookieParser());
@@ -32,6 +54,14 @@ app.use('/api/applications', applicationRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/resume', resumeRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/tokens', apiTokenRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/recruiter', recruiterRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/skills', skillRoutes);
 app.get('/api/health', (req, res) => {
   res.status(200).json({
     success: true,
@@ -86,7 +116,17 @@ const connectDB = async () => {
   }
 };
 
-connectDB();
+// Background tasks
+const startBackgroundTasks = () => {
+  runEvery('account purge', 60 * 60 * 1000, purgeScheduledDeletions);
+  runEvery('email outbox', 60 * 1000, processOutbox);
+  runEvery('interview reminders', 60 * 1000, sendDueInterviewReminders);
+  runEvery('weekly digest', 15 * 60 * 1000, sendWeeklyDigests);
+  runEvery('job expiry', 60 * 60 * 1000, expireJobs);
+  runEvery('saved search alerts', 15 * 60 * 1000, sendSavedSearchAlerts);
+};
+
+connectDB().then(startBackgroundTasks);
 
 const PORT = process.env.PORT || 5000;
 
@@ -0,0 +1,57 @@
+const path = require('path');
+const fs = require('fs').promises;
+const User = require('../models/User');
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const AIInsight = require('../models/AiInsight');
+const Session = require('../models/Session');
+const AuthThrottle = require('../models/AuthThrottle');
+const AuditLog = require('../models/AuditLog');
+const ApiToken = require('../models/ApiToken');
+const EmailOutbox = require('../models/EmailOutbox');
+const Notification = require('../models/Notification');
+const RecruiterEmail = require('../models/RecruiterEmail');
+const SavedSearch = require('../models/SavedSearch');
+
+// Permanently remove a user and everything that belongs to them
+const purgeUser = async (user) => {
+  const userId = user._id;
+
+  await Promise.all([
+    Application.deleteMany({ user: userId }),
+    AIInsight.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    ApiToken.deleteMany({ user: userId }),
+    AuditLog.deleteMany({ user: userId }),
+    EmailOutbox.deleteMany({ to: user.email }),
+    Notification.deleteMany({ user: userId }),
+    RecruiterEmail.deleteMany({ user: userId }),
+    SavedSearch.deleteMany({ user: userId }),
+    AuthThrottle.clear(AuthThrottle.accountKey(user.email)),
+    Job.deleteMany({ postedBy: userId, visibility: 'private' }),
+    Job.updateMany({ isSaved: userId }, { $pull: { isSaved: userId } })
+  ]);
+
+  if (user.resume && user.resume.fileUrl) {
+    const filePath = path.join(__dirname, '..', user.resume.fileUrl);
+    await fs.unlink(filePath).catch(err => {
+      if (err.code !== 'ENOENT') console.error('Resume delete error:', err);
+    });
+  }
+
+  await User.deleteOne({ _id: userId });
+};
+
+// Purge every account whose deletion grace period has run out
+const purgeScheduledDeletions = async () => {
+  const users = await User.find({
+    deletionScheduledAt: { $lte: Date.now() }
+  });
+
+  for (const user of users) {
+    await purgeUser(user);
+    console.log(`🗑️ Deleted account ${user._id}`);
+  }
+};
+
+module.exports = { purgeUser, purgeScheduledDeletions };
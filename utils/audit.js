@@ -0,0 +1,20 @@
+const AuditLog = require('../models/AuditLog');
+
+// Record a security event for the request. Auditing must never break the
+// action being audited, so failures are only logged.
+const recordAudit = async (req, event, { user, actor, metadata } = {}) => {
+  try {
+    await AuditLog.create({
+      user: user || (req.user && req.user._id),
+      actor,
+      event,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'] || '',
+      metadata
+    });
+  } catch (err) {
+    console.error(`Audit log error (${event}):`, err);
+  }
+};
+
+module.exports = recordAudit;
@@ -0,0 +1,103 @@
+require('dotenv').config({ path: '../.env' });
+const mongoose = require('mongoose');
+const Skill = require('../models/Skill');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const skillKey = require('./skillKey');
+const { DEFAULT_SKILLS } = require('../config/skills');
+const { canonicalizeSkills, getSkillIndex } = require('./skills');
+
+// Seeds the skill taxonomy with the built-in skills it doesn't have yet,
+// then rewrites every job's and user's skills under their canonical names.
+// Safe to run again, e.g. after renaming a skill or adding aliases.
+//
+//   node backfillSkills.js             seed and rewrite
+//   node backfillSkills.js --no-seed   only rewrite
+
+const BATCH_SIZE = 500;
+
+// Add default skills whose name and aliases are all unknown, then link the
+// related skills of the ones just added
+const seedTaxonomy = async () => {
+  const existing = await Skill.find().select('+keys');
+  const knownKeys = new Set(existing.flatMap(skill => skill.keys));
+
+  const added = [];
+  for (const entry of DEFAULT_SKILLS) {
+    const keys = [entry.name, ...entry.aliases].map(skillKey);
+    if (keys.some(key => knownKeys.has(key))) continue;
+
+    const { related, ...fields } = entry;
+    added.push({ skill: await Skill.create(fields), related });
+    keys.forEach(key => knownKeys.add(key));
+  }
+
+  const skills = await Skill.find().select('name +keys');
+  const idOf = (name) => {
+    const skill = skills.find(candidate => candidate.keys.includes(skillKey(name)));
+    return skill && skill._id;
+  };
+
+  for (const { skill, related } of added) {
+    skill.related = related.map(idOf).filter(Boolean);
+    if (skill.related.length > 0) await skill.save();
+  }
+
+  return added.length;
+};
+
+// Rewrite the skills array of every document in the collection where it
+// changes. Works on raw documents so no hooks or timestamps are touched.
+const rewriteSkills = async (Model, index) => {
+  const cursor = Model.collection.find(
+    { 'skills.0': { $exists: true } },
+    { projection: { skills: 1 } }
+  );
+
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Model.collection.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    const current = doc.skills.filter(skill => typeof skill === 'string' && skill.trim());
+    const skills = canonicalizeSkills(current.map(skill => skill.trim()), index);
+    if (skills.length === doc.skills.length && skills.every((skill, i) => skill === doc.skills[i])) continue;
+
+    operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { skills } } } });
+    updated++;
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+  return updated;
+};
+
+const backfillSkills = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    if (!process.argv.includes('--no-seed')) {
+      const seeded = await seedTaxonomy();
+      console.log(`✅ Added ${seeded} skills to the taxonomy`);
+    }
+
+    const index = await getSkillIndex();
+    const jobs = await rewriteSkills(Job, index);
+    const users = await rewriteSkills(User, index);
+
+    console.log('✅ Skills normalized:', { jobs, users });
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Backfill failed:', err.message);
+    process.exit(1);
+  }
+};
+
+backfillSkills();
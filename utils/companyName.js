@@ -0,0 +1,19 @@
+// Text and company name normalization shared by the duplicate job detector
+// and the recruiter email matcher, so both compare names the same way
+
+// Legal-form words that don't tell two companies apart, as whole words
+const COMPANY_SUFFIXES = /(?<=^| )(inc|llc|ltd|limited|gmbh|ag|corp|corporation|co|company|plc|sa|bv)(?= |$)/g;
+
+// Lowercase letters and digits, everything else collapsed to single spaces
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// "Acme, Inc." and "ACME" both become "acme"
+const normalizeCompany = (company) => normalize(company)
+  .replace(COMPANY_SUFFIXES, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+module.exports = { COMPANY_SUFFIXES, normalize, normalizeCompany };
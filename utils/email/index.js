@@ -0,0 +1,129 @@
+const EmailOutbox = require('../../models/EmailOutbox');
+const EmailSuppression = require('../../models/EmailSuppression');
+const { getTransport, fromAddress } = require('../../config/email');
+const templates = require('./templates');
+const { unsubscribeUrl } = require('./unsubscribe');
+
+// Messages stuck in "sending" this long are assumed to belong to a crashed
+// worker and are picked up again
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+const BATCH_SIZE = 50;
+
+// Try to deliver one claimed outbox message and record the outcome.
+// Suppression is checked here so it also applies to queued retries.
+const deliver = async (message) => {
+  if (message.category !== 'security' && await EmailSuppression.isSuppressed(message.to)) {
+    message.set({
+      status: 'suppressed',
+      lockedAt: undefined,
+      html: undefined,
+      text: undefined,
+      unsubscribeUrl: undefined
+    });
+    await message.save();
+    return message;
+  }
+
+  try {
+    const { messageId } = await getTransport().send({
+      from: fromAddress(),
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      headers: message.unsubscribeUrl
+        ? { 'List-Unsubscribe': `<${message.unsubscribeUrl}>` }
+        : undefined
+    });
+
+    message.set({
+      status: 'sent',
+      messageId,
+      sentAt: Date.now(),
+      lockedAt: undefined,
+      lastError: undefined,
+      html: undefined,
+      text: undefined,
+      unsubscribeUrl: undefined
+    });
+  } catch (err) {
+    const failed = message.attempts >= message.maxAttempts;
+
+    message.set({
+      status: failed ? 'failed' : 'pending',
+      nextAttemptAt: Date.now() + EmailOutbox.backoffMs(message.attempts),
+      lockedAt: undefined,
+      lastError: err.message
+    });
+
+    console.error(`📧 Email "${message.template}" to ${message.to} failed (attempt ${message.attempts}):`, err.message);
+  }
+
+  await message.save();
+  return message;
+};
+
+// Atomically take a message so only one worker sends it
+const claim = (filter) => EmailOutbox.findOneAndUpdate(
+  filter,
+  {
+    $set: { status: 'sending', lockedAt: Date.now() },
+    $inc: { attempts: 1 }
+  },
+  { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+// Render a named template, queue it and try to deliver it right away.
+// Delivery failures are retried by processOutbox, so this only throws for
+// programming errors such as an unknown template. Suppressed addresses only
+// receive security email.
+const sendEmail = async (templateName, { to, data = {} }) => {
+  const template = templates[templateName];
+
+  if (!template) {
+    throw new Error(`Unknown email template "${templateName}"`);
+  }
+
+  // Everything but security email carries an unsubscribe link
+  const unsubscribe = template.category === 'security'
+    ? undefined
+    : unsubscribeUrl(to, template.category);
+
+  const { subject, html, text } = template.render({ ...data, unsubscribeUrl: unsubscribe });
+
+  const queued = await EmailOutbox.create({
+    to,
+    template: templateName,
+    category: template.category,
+    subject,
+    html,
+    text,
+    unsubscribeUrl: unsubscribe
+  });
+
+  const message = await claim({ _id: queued._id, status: 'pending' });
+  if (!message) return queued;
+
+  return deliver(message);
+};
+
+// Retry queued messages that are due. Runs from the background scheduler.
+const processOutbox = async () => {
+  await EmailOutbox.updateMany(
+    { status: 'sending', lockedAt: { $lt: Date.now() - STALE_LOCK_MS } },
+    { $set: { status: 'pending' }, $unset: { lockedAt: 1 } }
+  );
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const message = await claim({
+      status: 'pending',
+      nextAttemptAt: { $lte: Date.now() }
+    });
+
+    if (!message) break;
+    await deliver(message);
+  }
+};
+
+module.exports = { sendEmail, processOutbox };
@@ -0,0 +1,72 @@
+const escapeHtml = require('../escapeHtml');
+
+// Shared HTML building blocks for email templates
+
+const THEMES = {
+  brand: ['#667eea', '#764ba2'],
+  success: ['#4CAF50', '#45a049'],
+  warning: ['#ff9800', '#f57c00'],
+  danger: ['#f44336', '#d32f2f']
+};
+
+
+const paragraph = (text) =>
+  `<p style="color: #666; line-height: 1.6;">${text}</p>`;
+
+const greeting = (name) =>
+  `<h2 style="color: #333; margin-bottom: 20px;">Hello ${escapeHtml(name)},</h2>`;
+
+const button = (url, label, color = THEMES.brand[0]) => `
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${escapeHtml(url)}" style="background: ${color}; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+              ${escapeHtml(label)}
+            </a>
+          </div>`;
+
+const code = (value) => `
+          <div style="text-align: center; margin: 30px 0;">
+            <div style="background: ${THEMES.brand[0]}; color: white; padding: 20px; border-radius: 10px; display: inline-block; font-size: 32px; font-weight: bold; letter-spacing: 5px;">
+              ${escapeHtml(value)}
+            </div>
+          </div>`;
+
+const note = (text) =>
+  `<p style="color: #999; font-size: 14px; text-align: center;">${text}</p>`;
+
+const unsubscribeLink = (url) => url
+  ? `<p><a href="${escapeHtml(url)}" style="color: #666;">Unsubscribe</a> from these emails.</p>`
+  : '';
+
+// Plain-text counterpart of the unsubscribe footer
+const unsubscribeText = (url) => url ? `\n--\nUnsubscribe from these emails: ${url}` : '';
+
+// Wrap template content in the standard CareerPilot email frame
+const layout = ({ title, theme = 'brand', body, footer = 'CareerPilot', unsubscribeUrl }) => {
+  const [from, to] = THEMES[theme];
+
+  return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, ${from} 0%, ${to} 100%); padding: 30px; text-align: center; color: white;">
+          <h1 style="margin: 0; font-size: 28px;">${title}</h1>
+        </div>
+        <div style="padding: 30px; background: #f9f9f9;">
+          ${body}
+        </div>
+        <div style="background: #f1f1f1; padding: 20px; text-align: center; color: #666; font-size: 12px;">
+          <p>${footer}</p>
+          ${unsubscribeLink(unsubscribeUrl)}
+        </div>
+      </div>
+    `;
+};
+
+module.exports = {
+  escapeHtml,
+  paragraph,
+  greeting,
+  button,
+  code,
+  note,
+  unsubscribeText,
+  layout
+};
@@ -0,0 +1,454 @@
+const {
+  escapeHtml,
+  paragraph,
+  greeting,
+  button,
+  code,
+  note,
+  unsubscribeText,
+  layout
+} = require('./layout');
+
+// Named email templates. Each renders an HTML and a plain-text variant from
+// the data passed to sendEmail. Values interpolated into HTML are escaped.
+//
+// `category` groups templates for delivery rules:
+//   security  - codes, links and alerts needed to get into or protect an account
+//   account   - other messages about the user's account
+//   reminders - interview reminders
+//   digest    - the weekly job search digest
+//   alerts    - new jobs matching a saved search
+//
+// Every category except security can be unsubscribed from; sendEmail passes
+// those templates an `unsubscribeUrl`.
+
+const SECURITY_FOOTER = 'CareerPilot Security Team';
+
+const textLines = (...lines) => lines.filter(line => line !== null).join('\n');
+
+module.exports = {
+  welcome: {
+    category: 'security',
+    render: ({ verifyUrl }) => ({
+      subject: 'Verify Your Email - CareerPilot',
+      html: layout({
+        title: 'Welcome to CareerPilot! 🚀',
+        body: `
+          <h2 style="color: #333; margin-bottom: 20px;">Almost there!</h2>
+          ${paragraph('Please verify your email address to complete your registration and start managing your job search.')}
+          ${button(verifyUrl, 'Verify Email Address')}
+          ${note(`This link will expire in 24 hours.<br>
+            If the button doesn't work, copy and paste this link in your browser:<br>
+            <a href="${escapeHtml(verifyUrl)}" style="color: #667eea;">${escapeHtml(verifyUrl)}</a>`)}`,
+        footer: "If you didn't create an account with CareerPilot, please ignore this email."
+      }),
+      text: textLines(
+        'Welcome to CareerPilot!',
+        '',
+        'Please verify your email address to complete your registration:',
+        verifyUrl,
+        '',
+        'This link will expire in 24 hours.',
+        "If you didn't create an account with CareerPilot, please ignore this email."
+      )
+    })
+  },
+
+  verifyEmail: {
+    category: 'security',
+    render: ({ name, verifyUrl }) => ({
+      subject: 'Verify Your Email - CareerPilot',
+      html: layout({
+        title: 'Verify Your Email 📧',
+        body: `
+          ${greeting(name)}
+          ${paragraph("Here's your new verification link:")}
+          ${button(verifyUrl, 'Verify Email Now')}
+          ${note('This link will expire in 24 hours.')}`
+      }),
+      text: textLines(
+        `Hello ${name},`,
+        '',
+        "Here's your new verification link:",
+        verifyUrl,
+        '',
+        'This link will expire in 24 hours.'
+      )
+    })
+  },
+
+  resetCode: {
+    category: 'security',
+    render: ({ name, code: resetCode }) => ({
+      subject: 'Password Reset Code - CareerPilot',
+      html: layout({
+        title: 'Password Reset 🔒',
+        body: `
+          ${greeting(name)}
+          ${paragraph('You requested to reset your password. Use the code below to reset it:')}
+          ${code(resetCode)}
+          ${note(`This code will expire in 10 minutes.<br>
+            If you didn't request this, please ignore this email and your password will remain unchanged.`)}`,
+        footer: SECURITY_FOOTER
+      }),
+      text: textLines(
+        `Hello ${name},`,
+        '',
+        `Your password reset code is: ${resetCode}`,
+        '',
+        'This code will expire in 10 minutes.',
+        "If you didn't request this, please ignore this email and your password will remain unchanged."
+      )
+    })
+  },
+
+  passwordResetRequired: {
+    category: 'security',
+    render: ({ name, code: resetCode }) => ({
+      subject: 'Password Reset Required - CareerPilot',
+      html: layout({
+        title: 'Password Reset Required 🔒',
+        body: `
+          ${greeting(name)}
+          ${paragraph('For your security, an administrator has required a password reset on your account. You have been signed out of all devices.')}
+          ${paragraph('Use the code below to choose a new password:')}
+          ${code(resetCode)}
+          ${note('This code will expire in 10 minutes. You can request a new one from the "Forgot password" page at any time.')}`,
+        footer: SECURITY_FOOTER
+      }),
+      text: textLines(
+        `Hello ${name},`,
+        '',
+        'For your security, an administrator has required a password reset on your account. You have been signed out of all devices.',
+        '',
+        `Your password reset code is: ${resetCode}`,
+        '',
+        'This code will expire in 10 minutes. You can request a new one from the "Forgot password" page at any time.'
+      )
+    })
+  },
+
+  passwordUpdated: {
+    category: 'security',
+    render: ({ name }) => ({
+      subject: 'Password Updated - CareerPilot',
+      html: layout({
+        title: 'Password Updated ✅',
+        theme: 'success',
+        body: `
+          ${greeting(name)}
+          ${paragraph('Your password has been successfully updated.')}
+          ${paragraph("If you didn't make this change, please contact our support team immediately.")}`,
+        footer: SECURITY_FOOTER
+      }),
+      text: textLines(
+        `Hello ${name},`,
+        '',
+        'Your password has been successfully updated.',
+        "If you didn't make this change, please contact our support team immediately."
+      )
+    })
+  },
+
+  accountLocked: {
+    category: 'security',
+    render: ({ name, unlockUrl }) => ({
+      subject: 'Your Account Has Been Locked - CareerPilot',
+      html: layout({
+        title: 'Account Locked 🔐',
+        theme: 'danger',
+        body: `
+          ${greeting(name)}
+          ${paragraph('We temporarily locked your account after several failed sign-in attempts.')}
+          ${paragraph('If this was you, you can unlock your account right away:')}
+          ${button(unlockUrl, 'Unlock My Account')}
+          ${note(`This link will expire in 1 hour.<br>
+            If it wasn't you, we recommend changing your password once you are back in.`)}`,
+        footer: SECURITY_FOOTER
+      }),
+      text: textLines(
+        `Hello ${name},`,
+        '',
+        'We temporarily locked your account after several failed sign-in attempts.',
+        'If this was you, you can unlock your account right away:',
+        unlockUrl,
+        '',
+        'This link will expire in 1 hour.',
+        "If it wasn't you, we recommend changing your password once you are back in."
+      )
+    })
+  },
+
+  magicLink: {
+    category: 'security',
+    render: ({ name, magicUrl }) => ({
+      subject: 'Your Sign-in Link - CareerPilot',
+      html: layout({
+        title: 'Your Sign-in Link ✨',
+        body: `
+          ${greeting(name)}
+          ${paragraph('Click the button below to sign in to CareerPilot. No password needed.')}
+          ${button(magicUrl, 'Sign In to CareerPilot')}
+          ${note(`This link will expire in 15 minutes and can only be used once.<br>
+            If you didn't request it, you can safely ignore this email.`)}`,
+        footer: SECURITY_FOOTER
+      }),
+      text: textLines(
+        `Hello ${name},`,
+        '',
+        'Use this link to sign in to CareerPilot. No password needed:',
+        magicUrl,
+        '',
+        'This link will expire in 15 minutes and can only be used once.',
+        "If you didn't request it, you can safely ignore this email."
+      )
+    })
+  },
+
+  emailChangeConfirm: {
+    category: 'security',
+    render: ({ name, confirmUrl }) => ({
+      subject: 'Confirm Your New Email - CareerPilot',
+      html: layout({
+        title: 'Confirm Your New Email 📧',
+        body: `
+          ${greeting(name)}
+          ${paragraph('Please confirm that you want to use this address for your CareerPilot account.')}
+          ${button(confirmUrl, 'Confirm New Email')}
+          ${note('This link will expire in 24 hours. Until then you keep signing in with your current email.')}`
+      }),
+      text: textLines(
+        `Hello ${name},`,
+        '',
+        'Please confirm that you want to use this address for your CareerPilot account:',
+        confirmUrl,
+        '',
+        'This link will expire in 24 hours. Until then you keep signing in with your current email.'
+      )
+    })
+  },
+
+  emailChangeNotice: {
+    category: 'security',
+    render: ({ name, newEmail, cancelUrl }) => ({
+      subject: 'Email Change Requested - CareerPilot',
+      html: layout({
+        title: 'Email Change Requested ⚠️',
+        theme: 'warning',
+        body: `
+          ${greeting(name)}
+          ${paragraph(`Someone asked to change the email on your CareerPilot account to <strong>${escapeHtml(newEmail)}</strong>.`)}
+          ${paragraph("If this wasn't you, cancel the change now. We will also sign you out everywhere so you can secure your account.")}
+          ${button(cancelUrl, 'Cancel Email Change', '#f44336')}
+          ${note('This link works for 7 days, even after the new address has been confirmed.')}`,
+        footer: SECURITY_FOOTER
+      }),
+      text: textLines(
+        `Hello ${name},`,
+        '',
+        `Someone asked to change the email on your CareerPilot account to ${newEmail}.`,
+        "If this wasn't you, cancel the change now. We will also sign you out everywhere so you can secure your account:",
+        cancelUrl,
+        '',
+        'This link works for 7 days, even after the new address has been confirmed.'
+      )
+    })
+  },
+
+  accountDeletionScheduled: {
+    category: 'security',
+    render: ({ name, deletionDate }) => ({
+      subject: 'Your Account Will Be Deleted - CareerPilot',
+      html: layout({
+        title: 'Account Deletion Scheduled',
+        theme: 'danger',
+        body: `
+          ${greeting(name)}
+          ${paragraph(`Your CareerPilot account and all of its data will be permanently deleted on <strong>${escapeHtml(deletionDate)}</strong>.`)}
+          ${paragraph('Changed your mind? Sign in before then and cancel the deletion from your account settings.')}`,
+        footer: SECURITY_FOOTER
+      }),
+      text: textLines(
+        `Hello ${name},`,
+        '',
+        `Your CareerPilot account and all of its data will be permanently deleted on ${deletionDate}.`,
+        'Changed your mind? Sign in before then and cancel the deletion from your account settings.'
+      )
+    })
+  },
+
+  recruiterApproved: {
+    category: 'account',
+    render: ({ name, company, unsubscribeUrl }) => ({
+      subject: 'Recruiter Application Approved - CareerPilot',
+      html: layout({
+        title: 'You Can Now Post Jobs 🎉',
+        theme: 'success',
+        body: `
+          ${greeting(name)}
+          ${paragraph(`Good news! Your recruiter application for ${escapeHtml(company)} has been approved. You can now publish job postings on CareerPilot.`)}`,
+        unsubscribeUrl
+      }),
+      text: textLines(
+        `Hello ${name},`,
+        '',
+        `Good news! Your recruiter application for ${company} has been approved. You can now publish job postings on CareerPilot.`
+      ) + unsubscribeText(unsubscribeUrl)
+    })
+  },
+
+  recruiterRejected: {
+    category: 'account',
+    render: ({ name, company, note: reviewNote, unsubscribeUrl }) => ({
+      subject: 'Recruiter Application Update - CareerPilot',
+      html: layout({
+        title: 'Recruiter Application Update',
+        body: `
+          ${greeting(name)}
+          ${paragraph(`Unfortunately your recruiter application for ${escapeHtml(company)} was not approved.`)}
+          ${reviewNote ? paragraph(escapeHtml(reviewNote)) : ''}`,
+        unsubscribeUrl
+      }),
+      text: textLines(
+        `Hello ${name},`,
+        '',
+        `Unfortunately your recruiter application for ${company} was not approved.`,
+        reviewNote || null
+      ) + unsubscribeText(unsubscribeUrl)
+    })
+  },
+
+  interviewReminder: {
+    category: 'reminders',
+    render: ({ name, lead, jobTitle, company, location, interviewType, interviewLocation, when, unsubscribeUrl }) => {
+      const details = [
+        ['When', when],
+        ['Type', interviewType],
+        ['Where', interviewLocation],
+        ['Job location', location]
+      ].filter(([, value]) => value);
+
+      return {
+        subject: `Interview ${lead}: ${jobTitle} at ${company} - CareerPilot`,
+        html: layout({
+          title: 'Interview Reminder 📅',
+          body: `
+          ${greeting(name)}
+          ${paragraph(`Your interview for <strong>${escapeHtml(jobTitle)}</strong> at <strong>${escapeHtml(company)}</strong> is ${escapeHtml(lead)}.`)}
+          ${details.map(([label, value]) => paragraph(`<strong>${label}:</strong> ${escapeHtml(value)}`)).join('\n          ')}
+          ${note('Good luck! Review the job description and your notes before you go.')}`,
+          unsubscribeUrl
+        }),
+        text: textLines(
+          `Hello ${name},`,
+          '',
+          `Your interview for ${jobTitle} at ${company} is ${lead}.`,
+          '',
+          ...details.map(([label, value]) => `${label}: ${value}`),
+          '',
+          'Good luck! Review the job description and your notes before you go.'
+        ) + unsubscribeText(unsubscribeUrl)
+      };
+    }
+  },
+
+  weeklyDigest: {
+    category: 'digest',
+    render: ({
+      name,
+      applicationsSent = [],
+      statusChanges = [],
+      upcomingInterviews = [],
+      staleApplications = [],
+      staleDays,
+      matchingJobs = [],
+      dashboardUrl,
+      unsubscribeUrl
+    }) => {
+      const sections = [
+        {
+          title: `Applications sent this week (${applicationsSent.length})`,
+          items: applicationsSent.map(app => `${app.jobTitle} at ${app.company}`)
+        },
+        {
+          title: 'Status changes',
+          items: statusChanges.map(change => `${change.jobTitle} at ${change.company}: ${change.status}`)
+        },
+        {
+          title: 'Upcoming interviews',
+          items: upcomingInterviews.map(interview => `${interview.jobTitle} at ${interview.company}, ${interview.when}`)
+        },
+        {
+          title: `No response for ${staleDays}+ days`,
+          items: staleApplications.map(app => `${app.jobTitle} at ${app.company} (${app.days} days)`)
+        },
+        {
+          title: 'New jobs matching your skills',
+          items: matchingJobs.map(job => `${job.title} at ${job.company}${job.location ? `, ${job.location}` : ''}`)
+        }
+      ].filter(section => section.items.length > 0);
+
+      const sectionHtml = sections.map(section => `
+          <h3 style="color: #333; margin: 25px 0 10px;">${escapeHtml(section.title)}</h3>
+          <ul style="color: #666; line-height: 1.6; padding-left: 20px;">
+            ${section.items.map(item => `<li>${escapeHtml(item)}</li>`).join('\n            ')}
+          </ul>`).join('');
+
+      return {
+        subject: 'Your Weekly Job Search Digest - CareerPilot',
+        html: layout({
+          title: 'Your Week in Review 📊',
+          body: `
+          ${greeting(name)}
+          ${paragraph("Here's how your job search went this week.")}
+          ${sectionHtml}
+          ${button(dashboardUrl, 'Open Dashboard')}`,
+          unsubscribeUrl
+        }),
+        text: textLines(
+          `Hello ${name},`,
+          '',
+          "Here's how your job search went this week.",
+          ...sections.flatMap(section => ['', section.title, ...section.items.map(item => `- ${item}`)]),
+          '',
+          `Open your dashboard: ${dashboardUrl}`
+        ) + unsubscribeText(unsubscribeUrl)
+      };
+    }
+  },
+
+  savedSearchAlert: {
+    category: 'alerts',
+    render: ({ name, searchName, jobs = [], total, searchUrl, unsubscribeUrl }) => {
+      const items = jobs.map(job => `${job.title} at ${job.company}${job.location ? `, ${job.location}` : ''}`);
+      const more = total > jobs.length ? `...and ${total - jobs.length} more.` : null;
+      const heading = `${total} new ${total === 1 ? 'job matches' : 'jobs match'} your saved search "${searchName}".`;
+
+      return {
+        subject: `New jobs for "${searchName}" - CareerPilot`,
+        html: layout({
+          title: 'New Jobs For You 🔔',
+          body: `
+          ${greeting(name)}
+          ${paragraph(escapeHtml(heading))}
+          <ul style="color: #666; line-height: 1.6; padding-left: 20px;">
+            ${items.map(item => `<li>${escapeHtml(item)}</li>`).join('\n            ')}
+          </ul>
+          ${more ? paragraph(escapeHtml(more)) : ''}
+          ${button(searchUrl, 'See All Matches')}`,
+          unsubscribeUrl
+        }),
+        text: textLines(
+          `Hello ${name},`,
+          '',
+          heading,
+          '',
+          ...items.map(item => `- ${item}`),
+          more,
+          '',
+          `See all matches: ${searchUrl}`
+        ) + unsubscribeText(unsubscribeUrl)
+      };
+    }
+  }
+};
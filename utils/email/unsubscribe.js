@@ -0,0 +1,30 @@
+const jwt = require('jsonwebtoken');
+
+// Signed unsubscribe tokens. They carry the address and email category so
+// the unsubscribe link works without signing in, and don't expire because
+// old emails must keep working.
+
+const PURPOSE = 'unsubscribe';
+
+const createUnsubscribeToken = (email, category) =>
+  jwt.sign({ purpose: PURPOSE, email: String(email).toLowerCase(), category }, process.env.JWT_SECRET);
+
+// Returns { email, category } or null if the token is invalid
+const verifyUnsubscribeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== PURPOSE || !decoded.email) return null;
+    return { email: decoded.email, category: decoded.category };
+  } catch (err) {
+    return null;
+  }
+};
+
+const unsubscribeUrl = (email, category) =>
+  `${process.env.FRONTEND_URL}/unsubscribe?token=${createUnsubscribeToken(email, category)}`;
+
+module.exports = {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeUrl
+};
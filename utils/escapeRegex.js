@@ -0,0 +1,4 @@
+// Escape user input so it can be embedded in a RegExp / $regex literally
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const { isValidTimeZone, getOffsetMs } = require('./timezone');
+
+// Turns free-text job locations ("Berlin, Germany", "Remote (US time zones)",
+// "Hybrid - London") into structured places using a local gazetteer, so no
+// external geocoding service is needed. GAZETTEER_FILE points at a
+// replacement for config/gazetteer.json with the same shape.
+//
+// UTC offsets are in hours, standard time.
+
+const WORK_MODES = ['remote', 'hybrid', 'on-site'];
+
+const WORK_MODE_PATTERNS = [
+  ['hybrid', /\bhybrid\b/i],
+  ['remote', /\b(remote(ly)?|work from home|wfh|telecommut\w*|anywhere|worldwide|distributed)\b/i],
+  ['on-site', /\b(on-?site|in[- ]office|in[- ]person)\b/i]
+];
+
+// Words that say how or where to work rather than name a place
+const FILLER_WORDS = new Set([
+  'remote', 'remotely', 'hybrid', 'onsite', 'on', 'site', 'office', 'in', 'person', 'wfh', 'work', 'from',
+  'home', 'only', 'based', 'within', 'the', 'of', 'and', 'or', 'any', 'friendly', 'first', 'preferred',
+  'time', 'zone', 'zones', 'timezone', 'timezones', 'area', 'greater', 'metro', 'region', 'hours'
+]);
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Lowercase, without accents or punctuation
+const placeKey = (text) => String(text)
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[.'’]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const addTo = (map, key, value) => {
+  if (!key) return;
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+};
+
+let gazetteer = null;
+
+// Read the gazetteer and index it by name and alias, once
+const loadGazetteer = () => {
+  if (gazetteer) return gazetteer;
+
+  const file = process.env.GAZETTEER_FILE || path.join(__dirname, '..', 'config', 'gazetteer.json');
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const countries = new Map();
+  const countryCodes = new Map();
+  const cities = new Map();
+  const regions = new Set();
+  const zones = new Map();
+
+  data.countries.forEach(country => {
+    countryCodes.set(country.code, country);
+    [country.name, ...(country.aliases || [])].forEach(name => addTo(countries, placeKey(name), country));
+  });
+
+  // Cities keep file order, so the best-known of two same-named places comes first
+  data.cities.forEach(city => {
+    [city.name, ...(city.aliases || [])].forEach(name => addTo(cities, placeKey(name), city));
+    if (city.region) regions.add(placeKey(city.region));
+  });
+
+  data.zones.forEach(zone => {
+    [zone.name, ...(zone.aliases || [])].forEach(name => addTo(zones, placeKey(name), zone));
+  });
+
+  gazetteer = {
+    countries,
+    countryCodes,
+    cities,
+    regions,
+    zones,
+    timezones: data.timezones || {}
+  };
+  return gazetteer;
+};
+
+const workModeOf = (text) => {
+  const match = WORK_MODE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : undefined;
+};
+
+// The comma, bracket or dash separated pieces of a location
+const splitParts = (text) => String(text)
+  .split(/[,;|/()[\]]|\s[-–—]\s|:/)
+  .map(part => part.trim())
+  .filter(Boolean);
+
+// A piece as is, then its runs of words without the filler, longest first
+const candidateKeys = (part) => {
+  const whole = placeKey(part);
+  const words = whole.split(' ').filter(word => word && !FILLER_WORDS.has(word));
+  const keys = [whole];
+
+  for (let size = Math.min(words.length, 4); size > 0; size--) {
+    for (let start = 0; start + size <= words.length; start++) {
+      keys.push(words.slice(start, start + size).join(' '));
+    }
+  }
+  return [...new Set(keys)].filter(Boolean);
+};
+
+// Two-letter country codes only count when written in capitals ("US", not "us")
+const countryOfPart = (part, { countries, countryCodes }) => {
+  if (/^[A-Z]{2}$/.test(part)) {
+    const country = countryCodes.get(part === 'UK' ? 'GB' : part);
+    if (country) return country;
+  }
+  for (const key of candidateKeys(part)) {
+    if (countries.has(key)) return countries.get(key)[0];
+  }
+  return undefined;
+};
+
+// Does a part say which region or country is meant? Country names and
+// codes, state or province codes in capitals, and region names that aren't
+// also a city name all do.
+const isQualifier = (part, places) => {
+  const key = placeKey(part);
+  return /^[A-Z]{2}$/.test(part) ||
+    !!countryOfPart(part, places) ||
+    (places.regions.has(key) && !places.cities.has(key));
+};
+
+// Pick among same-named cities using the other parts, e.g. "London, ON".
+// A qualifier that fits none of them means some other place is meant, as
+// with "Paris, TX", so no city is picked.
+const chooseCity = (candidates, otherParts, places) => {
+  const match = candidates.find(city => otherParts.some(part =>
+    part === city.regionCode ||
+    placeKey(part) === placeKey(city.region) ||
+    (countryOfPart(part, places) || {}).code === city.country
+  ));
+  if (match) return match;
+
+  return otherParts.some(part => isQualifier(part, places)) ? undefined : candidates[0];
+};
+
+const findCity = (parts, places) => {
+  for (const [i, part] of parts.entries()) {
+    for (const key of candidateKeys(part)) {
+      const candidates = places.cities.get(key);
+      if (!candidates) continue;
+
+      const city = chooseCity(candidates, parts.filter((other, j) => j !== i), places);
+      if (city) return city;
+    }
+  }
+  return undefined;
+};
+
+const findIn = (parts, map) => {
+  for (const part of parts) {
+    for (const key of candidateKeys(part)) {
+      if (map.has(key)) return map.get(key)[0];
+    }
+  }
+  return undefined;
+};
+
+// Offsets written in the text: "UTC+2", "GMT-5:30", "CET", "PST to EST".
+// A single one gives a band of one point.
+const offsetsIn = (text, { timezones }) => {
+  const offsets = [];
+
+  const utc = /\b(?:UTC|GMT)\s*([+\-−])\s*(\d{1,2})(?::?(\d{2}))?/gi;
+  let match;
+  while ((match = utc.exec(text))) {
+    const hours = parseInt(match[2], 10) + (match[3] ? parseInt(match[3], 10) / 60 : 0);
+    offsets.push(match[1] === '+' ? hours : -hours);
+  }
+
+  // The "UTC" of "UTC+2" is not a zone of its own
+  (text.replace(utc, ' ').match(/\b[A-Z]{2,4}\b/g) || []).forEach(abbreviation => {
+    if (timezones[abbreviation] !== undefined) offsets.push(timezones[abbreviation]);
+  });
+
+  return offsets;
+};
+
+const band = (min, max) => ({ utcOffsetMin: min, utcOffsetMax: max });
+
+// Parse a free-text location. Returns { workMode, details }: the work mode
+// the text states (if any) and { city, region, country, countryCode,
+// timezone, point, utcOffsetMin, utcOffsetMax } for the place it names.
+// For remote work the offsets are the band the job can be done from; with
+// none the job is open to anywhere. Pass workMode when it is known from
+// elsewhere, e.g. the job type.
+const parseLocation = (text, options = {}) => {
+  const places = loadGazetteer();
+  const location = String(text || '');
+  const workMode = workModeOf(location);
+  const remote = (options.workMode || workMode) === 'remote';
+  const parts = splitParts(location);
+
+  const city = findCity(parts, places);
+  const country = city
+    ? places.countryCodes.get(city.country)
+    : parts.map(part => countryOfPart(part, places)).find(Boolean);
+  const zone = !city && !country ? findIn(parts, places.zones) : undefined;
+  const offsets = offsetsIn(location, places);
+
+  const details = {};
+
+  if (city) {
+    Object.assign(details, {
+      city: city.name,
+      region: city.region,
+      timezone: city.timezone,
+      point: { type: 'Point', coordinates: [city.lng, city.lat] }
+    });
+  }
+  if (country) {
+    Object.assign(details, { country: country.name, countryCode: country.code });
+  }
+
+  if (offsets.length > 0) {
+    Object.assign(details, band(Math.min(...offsets), Math.max(...offsets)));
+  } else if (city && !remote) {
+    Object.assign(details, band(city.utcOffset, city.utcOffset));
+  } else if (country) {
+    Object.assign(details, band(...country.utcOffsets));
+  } else if (zone) {
+    Object.assign(details, band(...zone.utcOffsets));
+  }
+
+  return {
+    workMode,
+    details: Object.keys(details).length > 0 ? details : undefined
+  };
+};
+
+// Structured location fields for a job. The work mode comes from, in
+// order: an explicit choice, the location text, a Remote/Hybrid job type,
+// the job's current work mode, and otherwise on-site.
+const describeJobLocation = ({ location, type, workMode, currentWorkMode }) => {
+  const fromType = { Remote: 'remote', Hybrid: 'hybrid' }[type];
+  const mode = workMode || workModeOf(String(location || '')) || fromType || currentWorkMode || 'on-site';
+
+  return {
+    workMode: mode,
+    locationDetails: parseLocation(location, { workMode: mode }).details
+  };
+};
+
+// A place to search around: "lat,lng" or a city in the gazetteer. Returns
+// { name, coordinates: [lng, lat] } or undefined.
+const geocodePlace = (text) => {
+  const value = String(text || '').trim();
+
+  const coordinates = value.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+  if (coordinates) {
+    const lat = parseFloat(coordinates[1]);
+    const lng = parseFloat(coordinates[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return undefined;
+    return { name: value, coordinates: [lng, lat] };
+  }
+
+  const city = findCity(splitParts(value), loadGazetteer());
+  return city ? { name: city.name, coordinates: [city.lng, city.lat] } : undefined;
+};
+
+// Hours from UTC for "Europe/Berlin", "UTC+2", "GMT-5:30", "+3" or "CET".
+// Zones give their standard-time offset, like the gazetteer. Undefined when
+// not recognised.
+const parseUtcOffset = (value, now = new Date()) => {
+  const text = String(value || '').trim();
+
+  if (isValidTimeZone(text) && /[A-Za-z]+\/[A-Za-z_]+/.test(text)) {
+    // Daylight saving only ever adds, so the smaller of winter and summer
+    const year = now.getUTCFullYear();
+    const offsets = [Date.UTC(year, 0, 1), Date.UTC(year, 6, 1)].map(time => getOffsetMs(new Date(time), text));
+    return Math.min(...offsets) / (60 * 60 * 1000);
+  }
+
+  const match = text.match(/^(?:UTC|GMT)?\s*([+\-−])\s*(\d{1,2})(?::?(\d{2}))?$/i);
+  if (match) {
+    const hours = parseInt(match[2], 10) + (match[3] ? parseInt(match[3], 10) / 60 : 0);
+    return hours > 14 ? undefined : (match[1] === '+' ? hours : -hours);
+  }
+
+  const { timezones } = loadGazetteer();
+  return timezones[text.toUpperCase()];
+};
+
+// Radius in kilometres as radians, for $centerSphere
+const kmToRadians = (km) => km / EARTH_RADIUS_KM;
+
+module.exports = {
+  WORK_MODES,
+  parseLocation,
+  describeJobLocation,
+  geocodePlace,
+  parseUtcOffset,
+  kmToRadians
+};
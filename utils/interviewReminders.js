@@ -0,0 +1,104 @@
+const Application = require('../models/Application');
+const { sendEmail } = require('./email');
+const { formatInTimeZone } = require('./timezone');
+const notify = require('./notify');
+
+const BATCH_SIZE = 100;
+
+const REMINDER_LEADS = {
+  '24h': 'tomorrow',
+  '1h': 'in 1 hour'
+};
+
+// Send every interview reminder that has come due, in-app and by email.
+// Applications no longer interviewing are skipped. Each reminder is marked as sent with a conditional update before anything
+// goes out, so running this on several instances or after a restart never
+// sends it twice.
+const sendDueInterviewReminders = async () => {
+  const now = new Date();
+
+  const applications = await Application.find({
+    status: 'interviewing',
+    interviewReminders: {
+      $elemMatch: { sentAt: null, sendAt: { $lte: now } }
+    }
+  })
+    .populate('job', 'title company location')
+    .populate('user', 'name email timezone notificationPreferences')
+    .limit(BATCH_SIZE);
+
+  for (const application of applications) {
+    const due = application.interviewReminders.filter(reminder =>
+      !reminder.sentAt && reminder.sendAt <= now
+    );
+
+    for (const reminder of due) {
+      const claimed = await Application.updateOne(
+        {
+          _id: application._id,
+          interviewReminders: { $elemMatch: { _id: reminder._id, sentAt: null } }
+        },
+        { $set: { 'interviewReminders.$.sentAt': now } }
+      );
+
+      if (!claimed.modifiedCount) continue;
+
+      // Skip reminders that were held up until after the interview began
+      if (reminder.interviewAt <= now) continue;
+
+      const { job, user } = application;
+      if (!job || !user) continue;
+
+      const timeZone = user.timezone || 'UTC';
+      const interview = application.getInterviewStart(timeZone);
+      const dateOnly = { hour: undefined, minute: undefined, timeZoneName: undefined };
+      const when = interview && interview.hasTime
+        ? formatInTimeZone(reminder.interviewAt, timeZone)
+        : formatInTimeZone(reminder.interviewAt, timeZone, dateOnly);
+
+      // The in-app notification always goes out; email is opt-out
+      await notify(user._id, {
+        type: 'interview_upcoming',
+        title: `Interview ${REMINDER_LEADS[reminder.kind]}: ${job.title} at ${job.company}`,
+        message: when,
+        link: '/tracker',
+        data: { application: application._id, job: job._id }
+      });
+
+      if (user.notificationPreferences?.interviewReminders === false) continue;
+
+      await sendEmail('interviewReminder', {
+        to: user.email,
+        data: {
+          name: user.name,
+          lead: REMINDER_LEADS[reminder.kind],
+          jobTitle: job.title,
+          company: job.company,
+          location: job.location,
+          interviewType: application.interviewType,
+          interviewLocation: application.interviewLocation,
+          when
+        }
+      });
+    }
+  }
+};
+
+// Recompute reminders for upcoming interviews after the user's time zone
+// changes. Written with updateOne so the applications' updatedAt is untouched.
+const rescheduleInterviewReminders = async (user) => {
+  const applications = await Application.find({
+    user: user._id,
+    interviewDate: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+  });
+
+  for (const application of applications) {
+    application.scheduleInterviewReminders(user.timezone);
+    await Application.updateOne(
+      { _id: application._id },
+      { $set: { interviewReminders: application.interviewReminders } }
+    );
+  }
+};
+
+module.exports = { sendDueInterviewReminders, rescheduleInterviewReminders };
@@ -0,0 +1,295 @@
+const { Readable } = require('stream');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Job = require('../models/Job');
+const ErrorResponse = require('./errorResponse');
+const { COLLATION } = require('./jobQuery');
+const { normalizeSalary } = require('./salary');
+const { normalizeSkills, canonicalizeSkills, getSkillIndex } = require('./skills');
+
+// Reads job postings from a .csv or .xlsx file, maps its columns onto Job
+// fields and validates each row.
+
+const MAX_ROWS = 1000;
+
+const JOB_FIELDS = ['title', 'company', 'location', 'workMode', 'salary', 'type', 'experience', 'description', 'skills', 'applicationDeadline'];
+const REQUIRED_FIELDS = ['title', 'company', 'location', 'type', 'experience', 'description'];
+
+// Column headings we recognise without an explicit mapping
+const HEADER_ALIASES = {
+  title: ['title', 'job title', 'position', 'role', 'job'],
+  company: ['company', 'company name', 'employer', 'organization', 'organisation'],
+  location: ['location', 'city', 'job location'],
+  workMode: ['work mode', 'workplace', 'workplace type', 'location type'],
+  salary: ['salary', 'compensation', 'pay', 'salary range'],
+  type: ['type', 'job type', 'employment type', 'contract type'],
+  experience: ['experience', 'experience level', 'level', 'seniority'],
+  description: ['description', 'job description', 'details', 'summary'],
+  skills: ['skills', 'tags', 'technologies', 'tech stack', 'requirements'],
+  applicationDeadline: ['deadline', 'application deadline', 'closing date', 'apply by', 'valid through']
+};
+
+const JOB_TYPES = Job.schema.path('type').enumValues;
+
+// Common spellings of the experience levels
+const EXPERIENCE_ALIASES = {
+  entry: 'Entry Level',
+  entrylevel: 'Entry Level',
+  junior: 'Entry Level',
+  graduate: 'Entry Level',
+  mid: 'Mid Level',
+  midlevel: 'Mid Level',
+  intermediate: 'Mid Level',
+  senior: 'Senior Level',
+  seniorlevel: 'Senior Level',
+  lead: 'Senior Level'
+};
+
+// Common spellings of the work modes
+const WORK_MODE_ALIASES = {
+  remote: 'remote',
+  fullyremote: 'remote',
+  wfh: 'remote',
+  hybrid: 'hybrid',
+  onsite: 'on-site',
+  office: 'on-site',
+  inoffice: 'on-site',
+  inperson: 'on-site'
+};
+
+const compact = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Plain text of a spreadsheet cell, whatever exceljs made of it
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+const loadWorksheet = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  try {
+    if (extension === '.csv') {
+      // Keep every value as text; numbers and dates are interpreted later
+      return await workbook.csv.read(Readable.from(file.buffer), { map: value => value });
+    }
+
+    await workbook.xlsx.load(file.buffer);
+    return workbook.worksheets[0];
+  } catch (err) {
+    throw new ErrorResponse(`Could not read the ${extension} file`, 400);
+  }
+};
+
+// Headers and rows of the first sheet. Each row keeps its spreadsheet row
+// number for the report; blank rows are dropped.
+const readSheet = async (file) => {
+  const worksheet = await loadWorksheet(file);
+  if (!worksheet) throw new ErrorResponse('The file has no sheets', 400);
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const values = [];
+    row.eachCell({ includeEmpty: true }, (cell, column) => {
+      values[column - 1] = cellText(cell.value);
+    });
+    if (values.some(Boolean)) rows.push({ rowNumber, values });
+  });
+
+  if (rows.length === 0) throw new ErrorResponse('The file is empty', 400);
+
+  const [header, ...dataRows] = rows;
+  const headers = Array.from(header.values, value => value || '');
+
+  if (dataRows.length > MAX_ROWS) {
+    throw new ErrorResponse(`Files can have at most ${MAX_ROWS} rows`, 400);
+  }
+
+  return { headers, rows: dataRows };
+};
+
+// Guess which column holds each field from the headings
+const suggestMapping = (headers) => {
+  const mapping = {};
+
+  JOB_FIELDS.forEach(field => {
+    const aliases = HEADER_ALIASES[field].map(compact);
+    const header = headers.find(candidate => candidate && aliases.includes(compact(candidate)));
+    if (header) mapping[field] = header;
+  });
+
+  return mapping;
+};
+
+// Check a client-supplied { field: header } mapping against the file
+const resolveMapping = (input, headers) => {
+  let mapping = input;
+
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (err) {
+      throw new ErrorResponse('Mapping must be a JSON object of field to column heading', 400);
+    }
+  }
+
+  if (!mapping) mapping = suggestMapping(headers);
+
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new ErrorResponse('Mapping must be a JSON object of field to column heading', 400);
+  }
+
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (!JOB_FIELDS.includes(field)) {
+      throw new ErrorResponse(`Unknown field in mapping: ${field}. Use: ${JOB_FIELDS.join(', ')}`, 400);
+    }
+    if (!headers.includes(header)) {
+      throw new ErrorResponse(`Column "${header}" is not in the file`, 400);
+    }
+  });
+
+  const unmapped = REQUIRED_FIELDS.filter(field => !mapping[field]);
+  if (unmapped.length > 0) {
+    throw new ErrorResponse(
+      `Choose a column for: ${unmapped.join(', ')}. Columns in the file: ${headers.filter(Boolean).join(', ')}`,
+      400
+    );
+  }
+
+  return mapping;
+};
+
+const normalizeType = (value) => JOB_TYPES.find(type => compact(type) === compact(value)) || value;
+
+const normalizeExperience = (value) => EXPERIENCE_ALIASES[compact(value)] || value;
+
+const normalizeWorkMode = (value) => (value ? WORK_MODE_ALIASES[compact(value)] || value : undefined);
+
+// Job fields for one row, before validation
+const rowToJob = (values, headers, mapping, skillIndex) => {
+  const get = (field) => (mapping[field] ? values[headers.indexOf(mapping[field])] || '' : '');
+
+  return {
+    title: get('title'),
+    company: get('company'),
+    location: get('location'),
+    workMode: normalizeWorkMode(get('workMode')),
+    salary: get('salary'),
+    type: normalizeType(get('type')),
+    experience: normalizeExperience(get('experience')),
+    description: get('description'),
+    skills: canonicalizeSkills(normalizeSkills(get('skills')) || [], skillIndex),
+    applicationDeadline: get('applicationDeadline') || undefined
+  };
+};
+
+// Same title, company and location, ignoring case and punctuation
+const duplicateKey = (job) => [job.title, job.company, job.location].map(compact).join('|');
+
+const validationReasons = (err) => Object.values(err.errors).map(error => {
+  if (error.kind === 'enum') {
+    return `"${error.value}" is not a valid ${error.path}. Use one of: ${error.properties.enumValues.join(', ')}`;
+  }
+  if (error.name === 'CastError') return `Invalid ${error.path}: ${error.value}`;
+  return error.message;
+});
+
+// Import every row of the file. Rows that duplicate a job the user can
+// already see, or an earlier row, are skipped. A row that fails to save is
+// reported as failed and the rest of the file still imports. With dryRun
+// nothing is saved and valid rows are reported as "valid" instead of "created".
+const importJobs = async ({ file, mapping: requestedMapping, dryRun, postedBy, visibility }) => {
+  const { headers, rows } = await readSheet(file);
+  const mapping = resolveMapping(requestedMapping, headers);
+
+  const skillIndex = await getSkillIndex();
+  const jobs = rows.map(({ rowNumber, values }) => ({ rowNumber, fields: rowToJob(values, headers, mapping, skillIndex) }));
+
+  const existing = await Job.find({
+    company: { $in: [...new Set(jobs.map(({ fields }) => fields.company).filter(Boolean))] },
+    $or: [{ visibility: { $ne: 'private' } }, { postedBy }]
+  })
+    .collation(COLLATION)
+    .select('title company location');
+
+  const seen = new Map(existing.map(job => [duplicateKey(job), { job: job._id }]));
+  const results = [];
+
+  for (const { rowNumber, fields } of jobs) {
+    const result = { row: rowNumber, title: fields.title };
+    results.push(result);
+
+    let salary;
+    try {
+      salary = normalizeSalary(fields.salary);
+    } catch (err) {
+      Object.assign(result, { status: 'failed', reasons: [err.message] });
+      continue;
+    }
+
+    const job = new Job({
+      ...fields,
+      salary,
+      postedBy,
+      visibility,
+      logo: fields.company.charAt(0).toUpperCase()
+    });
+
+    try {
+      await job.validate();
+    } catch (err) {
+      if (err.name !== 'ValidationError') throw err;
+      Object.assign(result, { status: 'failed', reasons: validationReasons(err) });
+      continue;
+    }
+
+    if (job.applicationDeadline && job.applicationDeadline <= Date.now()) {
+      Object.assign(result, { status: 'failed', reasons: ['The application deadline has already passed'] });
+      continue;
+    }
+
+    const key = duplicateKey(fields);
+    const duplicate = seen.get(key);
+    if (duplicate) {
+      Object.assign(result, {
+        status: 'skipped',
+        reasons: [duplicate.row ? `Duplicate of row ${duplicate.row}` : 'Duplicate of an existing job'],
+        duplicateOf: duplicate.job
+      });
+      continue;
+    }
+
+    if (!dryRun) {
+      try {
+        await job.save();
+      } catch (err) {
+        const reasons = err.name === 'ValidationError' ? validationReasons(err) : [`Could not save: ${err.message}`];
+        Object.assign(result, { status: 'failed', reasons });
+        continue;
+      }
+    }
+
+    seen.set(key, { row: rowNumber, job: dryRun ? undefined : job._id });
+    Object.assign(result, { status: dryRun ? 'valid' : 'created', job: dryRun ? undefined : job._id });
+  }
+
+  const summary = results.reduce((counts, { status }) => {
+    counts[status] = (counts[status] || 0) + 1;
+    return counts;
+  }, { total: results.length });
+
+  return { dryRun, headers, mapping, summary, rows: results };
+};
+
+module.exports = {
+  JOB_FIELDS,
+  importJobs
+};
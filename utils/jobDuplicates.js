@@ -0,0 +1,190 @@
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const RecruiterEmail = require('../models/RecruiterEmail');
+const escapeRegex = require('./escapeRegex');
+const { normalize, normalizeCompany } = require('./companyName');
+
+// Finds postings that are probably the same job entered more than once, and
+// merges them into one.
+
+// Scores at or above this are reported as likely duplicates
+const DUPLICATE_THRESHOLD = 0.75;
+
+// Below this the companies are considered different and nothing else counts
+const COMPANY_THRESHOLD = 0.8;
+
+const WEIGHTS = { title: 0.45, location: 0.2, description: 0.35 };
+
+const MAX_CANDIDATES = 200;
+
+// Further along wins when two applications for merged jobs belong to the same user
+const STATUS_RANK = { saved: 0, applied: 1, interviewing: 2, rejected: 3, offer: 4 };
+
+// Character bigrams, so small typos and word order barely matter
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  const grams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+// Sørensen–Dice coefficient over bigrams, from 0 to 1
+const diceSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const first = bigrams(a);
+  const second = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+
+  first.forEach((count, gram) => {
+    overlap += Math.min(count, second.get(gram) || 0);
+    total += count;
+  });
+  second.forEach(count => {
+    total += count;
+  });
+
+  return total === 0 ? 0 : (2 * overlap) / total;
+};
+
+// Jaccard similarity of the sets of words, for longer texts
+const wordSimilarity = (a, b) => {
+  const first = new Set(a.split(' ').filter(word => word.length > 2));
+  const second = new Set(b.split(' ').filter(word => word.length > 2));
+  if (first.size === 0 || second.size === 0) return 0;
+
+  let shared = 0;
+  first.forEach(word => {
+    if (second.has(word)) shared++;
+  });
+
+  return shared / (first.size + second.size - shared);
+};
+
+// How likely two postings are the same job, from 0 to 1
+const similarity = (a, b) => {
+  const company = diceSimilarity(normalizeCompany(a.company), normalizeCompany(b.company));
+  if (company < COMPANY_THRESHOLD) return 0;
+
+  const scores = {
+    title: diceSimilarity(normalize(a.title), normalize(b.title)),
+    location: diceSimilarity(normalize(a.location), normalize(b.location))
+  };
+
+  // Leave the description out when either posting has none
+  const descriptionA = normalize(a.description);
+  const descriptionB = normalize(b.description);
+  if (descriptionA && descriptionB) {
+    scores.description = wordSimilarity(descriptionA, descriptionB);
+  }
+
+  const weight = Object.keys(scores).reduce((total, key) => total + WEIGHTS[key], 0);
+  const score = Object.keys(scores).reduce((total, key) => total + scores[key] * WEIGHTS[key], 0) / weight;
+
+  return Math.round(score * 100) / 100;
+};
+
+// Likely duplicates of a posting (saved or not), best match first. Without
+// a user every posting is considered; otherwise only those the user can see.
+const findDuplicateJobs = async (job, { user, limit = 5 } = {}) => {
+  const companyWords = normalizeCompany(job.company).split(' ').filter(Boolean);
+  if (companyWords.length === 0) return [];
+
+  // Narrow the candidates to postings sharing the company's longest word
+  const keyword = companyWords.reduce((longest, word) => (word.length > longest.length ? word : longest));
+
+  const query = {
+    company: { $regex: escapeRegex(keyword), $options: 'i' }
+  };
+  if (job._id) query._id = { $ne: job._id };
+  if (user) query.$or = [{ visibility: { $ne: 'private' } }, { postedBy: user._id }];
+
+  const candidates = await Job.find(query)
+    .select('title company location description visibility createdAt')
+    .sort('-createdAt')
+    .limit(MAX_CANDIDATES);
+
+  return candidates
+    .map(candidate => ({ job: candidate, score: similarity(job, candidate) }))
+    .filter(match => match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ job: duplicate, score }) => ({
+      id: duplicate._id,
+      title: duplicate.title,
+      company: duplicate.company,
+      location: duplicate.location,
+      score,
+      link: `/jobs/${duplicate._id}`
+    }));
+};
+
+// Keep one of two applications by the same user, folding the other's notes
+// and emails into it
+const combineApplications = (keep, drop) => {
+  if (drop.notes && drop.notes !== keep.notes) {
+    keep.notes = keep.notes ? `${keep.notes}\n\n${drop.notes}` : drop.notes;
+  }
+  keep.emails.push(...drop.emails);
+  if (!keep.salary && drop.salary) keep.salary = drop.salary;
+};
+
+// Merge duplicate postings into target: applications and saves move over,
+// then the duplicates are deleted
+const mergeDuplicateJobs = async (target, duplicates) => {
+  const duplicateIds = duplicates.map(job => job._id);
+  const result = { applicationsMoved: 0, applicationsCombined: 0, savesMoved: 0 };
+
+  const applications = await Application.find({ job: { $in: [target._id, ...duplicateIds] } });
+
+  // One application per user; the one furthest along survives
+  const byUser = new Map();
+  applications.forEach(application => {
+    const key = application.user.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(application);
+  });
+
+  for (const userApplications of byUser.values()) {
+    const [keep, ...rest] = userApplications.sort((a, b) =>
+      (STATUS_RANK[b.status] - STATUS_RANK[a.status]) ||
+      (Number(b.job.equals(target._id)) - Number(a.job.equals(target._id))) ||
+      (b.updatedAt - a.updatedAt));
+
+    if (!keep.job.equals(target._id)) {
+      keep.job = target._id;
+      result.applicationsMoved++;
+    }
+
+    rest.forEach(application => combineApplications(keep, application));
+
+    if (keep.isModified()) await keep.save();
+
+    if (rest.length > 0) {
+      const droppedIds = rest.map(application => application._id);
+      await RecruiterEmail.updateMany({ application: { $in: droppedIds } }, { application: keep._id });
+      await Application.deleteMany({ _id: { $in: droppedIds } });
+      result.applicationsCombined += rest.length;
+    }
+  }
+
+  const savers = duplicates.flatMap(job => job.isSaved);
+  const newSavers = savers.filter(userId => !target.isSaved.some(saved => saved.equals(userId)));
+  result.savesMoved = new Set(newSavers.map(String)).size;
+
+  await Job.updateOne({ _id: target._id }, { $addToSet: { isSaved: { $each: savers } } });
+  await Job.deleteMany({ _id: { $in: duplicateIds } });
+
+  return result;
+};
+
+module.exports = {
+  similarity,
+  findDuplicateJobs,
+  mergeDuplicateJobs
+};
@@ -0,0 +1,44 @@
+const Job = require('../models/Job');
+const notify = require('./notify');
+
+const BATCH_SIZE = 200;
+
+// Expire open postings whose deadline or age limit has passed, and let the
+// people who saved them know
+const expireJobs = async () => {
+  const now = new Date();
+  const postedBefore = new Date(now.getTime() - Job.MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+
+  const due = {
+    ...Job.openFilter(),
+    $or: [
+      { expiresAt: { $lte: now } },
+      // Postings from before expiresAt was recorded
+      { expiresAt: null, createdAt: { $lte: postedBefore } }
+    ]
+  };
+
+  let jobs;
+  do {
+    jobs = await Job.find(due).select('title company isSaved').limit(BATCH_SIZE);
+
+    for (const job of jobs) {
+      // Only the instance that flips the status sends the notifications
+      const expired = await Job.updateOne(
+        { _id: job._id, ...Job.openFilter() },
+        { status: 'expired', closedAt: now }
+      );
+      if (!expired.modifiedCount) continue;
+
+      await notify(job.isSaved, {
+        type: 'saved_job_updated',
+        title: `${job.title} at ${job.company} has closed`,
+        message: 'A job you saved is no longer accepting applications.',
+        link: `/jobs/${job._id}`,
+        data: { job: job._id }
+      });
+    }
+  } while (jobs.length === BATCH_SIZE);
+};
+
+module.exports = { expireJobs };
@@ -0,0 +1,394 @@
+const { parseDocument } = require('htmlparser2');
+const DomUtils = require('domutils');
+const Job = require('../models/Job');
+const { parseSalary, normalizeSalary } = require('./salary');
+const { findSkills } = require('./skills');
+
+// Builds a job draft from a posting page: schema.org JobPosting JSON-LD when
+// the page has it, otherwise headings, meta tags and common class names.
+
+const JOB_TYPES = Job.schema.path('type').enumValues;
+const EXPERIENCE_LEVELS = Job.schema.path('experience').enumValues;
+
+const MAX_DESCRIPTION_LENGTH = Job.schema.path('description').options.maxlength[0];
+const MAX_TITLE_LENGTH = Job.schema.path('title').options.maxlength[0];
+const MAX_SKILLS = 20;
+
+// schema.org employmentType values
+const EMPLOYMENT_TYPES = {
+  FULL_TIME: 'Full-time',
+  PART_TIME: 'Part-time',
+  CONTRACTOR: 'Contract',
+  TEMPORARY: 'Contract',
+  PER_DIEM: 'Contract'
+};
+
+// schema.org unitText values, as multiples of a supported pay period
+const SALARY_UNITS = {
+  HOUR: { period: 'hour', factor: 1 },
+  DAY: { period: 'year', factor: 260 },
+  WEEK: { period: 'year', factor: 52 },
+  MONTH: { period: 'month', factor: 1 },
+  YEAR: { period: 'year', factor: 1 }
+};
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'br', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'section', 'article', 'header', 'footer', 'tr', 'table', 'blockquote'
+]);
+
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg']);
+
+const SALARY_TEXT = /(?:[$€£¥₹]|\b(?:USD|EUR|GBP|CAD|AUD|CHF|INR)\b)\s?\d[\d,.]*\s*k?(?:\s*(?:-|–|—|to)\s*(?:[$€£¥₹])?\s?\d[\d,.]*\s*k?)?(?:\s*(?:USD|EUR|GBP|CAD|AUD|CHF|INR))?(?:\s*(?:per|\/|an?)\s*(?:hour|hr|month|year|yr|annum))?/i;
+
+const collapse = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+// Readable text from a DOM node, keeping paragraph and list breaks
+const nodeText = (node) => {
+  const parts = [];
+
+  const walk = (current) => {
+    if (current.type === 'text') {
+      parts.push(current.data);
+      return;
+    }
+    if (SKIPPED_TAGS.has(current.name) || !current.children) return;
+
+    // List items go on their own line without a blank line between them
+    if (current.name === 'li') {
+      parts.push('\n• ');
+      current.children.forEach(walk);
+      return;
+    }
+
+    const isBlock = BLOCK_TAGS.has(current.name);
+    if (isBlock) parts.push('\n');
+    current.children.forEach(walk);
+    if (isBlock) parts.push('\n');
+  };
+
+  walk(node);
+
+  return parts.join('')
+    .split('\n')
+    .map(collapse)
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+const htmlToText = (html) => nodeText(parseDocument(String(html || ''), { decodeEntities: true }));
+
+const toArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+const hasType = (node, type) => toArray(node && node['@type']).includes(type);
+
+// Every JobPosting in a JSON-LD value, looking inside arrays and @graph
+const findJobPostings = (value) => {
+  if (!value || typeof value !== 'object') return [];
+  if (Array.isArray(value)) return value.flatMap(findJobPostings);
+  if (hasType(value, 'JobPosting')) return [value];
+  return findJobPostings(value['@graph']);
+};
+
+const parseJson = (text) => {
+  try {
+    // Some sites wrap the JSON in HTML comments or CDATA markers
+    return JSON.parse(String(text).replace(/^\s*(?:<!--|\/\/\s*<!\[CDATA\[)|(?:-->|\/\/\s*\]\]>)\s*$/g, ''));
+  } catch (err) {
+    return null;
+  }
+};
+
+const nameOf = (value) => {
+  if (!value) return '';
+  if (typeof value === 'string') return collapse(value);
+  return collapse(value.name || value.legalName || '');
+};
+
+const describePlace = (place) => {
+  const address = place && (place.address || place);
+  if (!address) return '';
+  if (typeof address === 'string') return collapse(address);
+
+  const parts = [address.addressLocality, address.addressRegion, nameOf(address.addressCountry)]
+    .map(nameOf)
+    .filter(Boolean);
+
+  return [...new Set(parts)].join(', ');
+};
+
+// MonetaryAmount → structured salary
+const salaryFromJsonLd = (amount) => {
+  if (!amount) return null;
+  if (typeof amount === 'string' || typeof amount === 'number') return parseSalary(String(amount));
+
+  const quantity = amount.value;
+  const unit = SALARY_UNITS[String((quantity && quantity.unitText) || amount.unitText || 'YEAR').toUpperCase()] || SALARY_UNITS.YEAR;
+
+  let min;
+  let max;
+  if (quantity && typeof quantity === 'object') {
+    min = quantity.minValue !== undefined ? quantity.minValue : quantity.value;
+    max = quantity.maxValue !== undefined ? quantity.maxValue : quantity.value;
+  } else {
+    min = quantity;
+    max = quantity;
+  }
+
+  const scale = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value) * unit.factor);
+
+  try {
+    return normalizeSalary({
+      min: scale(min),
+      max: scale(max),
+      currency: amount.currency,
+      period: unit.period
+    });
+  } catch (err) {
+    return null;
+  }
+};
+
+const mapEmploymentType = (values, isRemote) => {
+  if (isRemote) return 'Remote';
+
+  const mapped = toArray(values)
+    .flatMap(value => String(value).split(/[,\s]+/))
+    .map(value => EMPLOYMENT_TYPES[value.toUpperCase().replace(/-/g, '_')])
+    .find(Boolean);
+
+  return mapped || null;
+};
+
+// Job type from prose, when there's no structured value
+const guessJobType = (text) => {
+  const lower = text.toLowerCase();
+  if (/\bhybrid\b/.test(lower)) return 'Hybrid';
+  if (/\b(?:fully remote|remote[- ]first|100% remote|work from home)\b/.test(lower)) return 'Remote';
+  if (/\bpart[- ]time\b/.test(lower)) return 'Part-time';
+  if (/\b(?:contract|contractor|freelance|temporary)\b/.test(lower)) return 'Contract';
+  if (/\bfull[- ]time\b/.test(lower)) return 'Full-time';
+  if (/\bremote\b/.test(lower)) return 'Remote';
+  return null;
+};
+
+// Experience level from the title first, then required years
+const guessExperience = (title, text, months) => {
+  const lowerTitle = title.toLowerCase();
+  if (/\b(?:senior|sr\.?|lead|principal|staff|head of|director)\b/.test(lowerTitle)) return 'Senior Level';
+  if (/\b(?:junior|jr\.?|entry|graduate|intern|trainee|apprentice)\b/.test(lowerTitle)) return 'Entry Level';
+  if (/\b(?:mid|intermediate)\b/.test(lowerTitle)) return 'Mid Level';
+
+  let years = months ? months / 12 : null;
+  if (years === null) {
+    const match = text.match(/(\d{1,2})\+?\s*(?:-\s*\d{1,2}\s*)?(?:years?|yrs?)(?:\s+of)?(?:\s+\w+)?\s+experience/i);
+    if (match) years = parseInt(match[1], 10);
+  }
+
+  if (years === null) return null;
+  if (years >= 5) return 'Senior Level';
+  if (years < 2) return 'Entry Level';
+  return 'Mid Level';
+};
+
+const splitSkills = (value) => toArray(value)
+  .flatMap(skill => (typeof skill === 'string' ? skill.split(/[,;\n•]/) : [nameOf(skill)]))
+  .map(collapse)
+  .filter(skill => skill && skill.length <= 50);
+
+// Listed skills first, then ones found in the text, without duplicates
+const mergeSkills = (...lists) => {
+  const seen = new Set();
+  return lists.flat().filter(skill => {
+    const key = skill.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, MAX_SKILLS);
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const fromJobPosting = (posting) => {
+  const description = htmlToText(posting.description);
+  const title = collapse(posting.title || posting.name);
+  const isRemote = toArray(posting.jobLocationType).some(type => String(type).toUpperCase() === 'TELECOMMUTE');
+  const experience = posting.experienceRequirements;
+
+  let location = toArray(posting.jobLocation).map(describePlace).filter(Boolean).join('; ');
+  if (!location && isRemote) {
+    const regions = toArray(posting.applicantLocationRequirements).map(nameOf).filter(Boolean);
+    location = regions.length > 0 ? `Remote (${regions.join(', ')})` : 'Remote';
+  }
+
+  return {
+    title,
+    company: nameOf(posting.hiringOrganization),
+    location,
+    type: mapEmploymentType(posting.employmentType, isRemote) || guessJobType(`${title}\n${description}`),
+    experience: guessExperience(
+      title,
+      `${typeof experience === 'string' ? experience : ''}\n${description}`,
+      experience && experience.monthsOfExperience
+    ),
+    salary: salaryFromJsonLd(posting.baseSalary) || salaryFromJsonLd(posting.estimatedSalary),
+    description,
+    skills: mergeSkills(splitSkills(posting.skills), findSkills(`${title}\n${description}`)),
+    applicationDeadline: toDate(posting.validThrough)
+  };
+};
+
+const metaContent = (dom, ...keys) => {
+  for (const key of keys) {
+    const meta = DomUtils.findOne(el => el.name === 'meta' &&
+      (el.attribs.property === key || el.attribs.name === key), dom.children, true);
+    if (meta && meta.attribs.content) return collapse(meta.attribs.content);
+  }
+  return '';
+};
+
+// First element whose itemprop, id or class mentions one of the hints
+const findByHint = (dom, ...hints) => {
+  for (const hint of hints) {
+    const element = DomUtils.findOne(el => !SKIPPED_TAGS.has(el.name) && (
+      el.attribs.itemprop === hint ||
+      (el.attribs.id || '').toLowerCase().includes(hint.toLowerCase()) ||
+      (el.attribs.class || '').toLowerCase().split(/\s+/).some(name => name.includes(hint.toLowerCase()))
+    ), dom.children, true);
+    if (element) return element;
+  }
+  return null;
+};
+
+// Text of a small element such as a company or location label; wrappers
+// that happen to match a hint hold far more text and are ignored
+const shortText = (element) => {
+  const text = element ? collapse(DomUtils.textContent(element)) : '';
+  return text.length <= MAX_TITLE_LENGTH ? text : '';
+};
+
+const findTag = (dom, name) => DomUtils.findOne(el => el.name === name, dom.children, true);
+
+// "Label: value" lines, as found on many simple job pages
+const labelledValue = (text, ...labels) => {
+  const match = text.match(new RegExp(`^\\s*(?:${labels.join('|')})\\s*:\\s*(.+)$`, 'im'));
+  return match ? collapse(match[1]) : '';
+};
+
+const fromPageHeuristics = (dom) => {
+  const pageTitle = collapse(findTag(dom, 'title') ? DomUtils.textContent(findTag(dom, 'title')) : '');
+  const heading = findTag(dom, 'h1');
+
+  const bodyElement = findByHint(dom, 'description', 'job-details', 'jobDetails', 'posting') ||
+    findTag(dom, 'article') || findTag(dom, 'main') || findTag(dom, 'body') || dom;
+  const bodyText = nodeText(bodyElement);
+  const pageText = nodeText(dom);
+
+  // Page titles often read "Role at Company" or "Role - Company | Site"
+  const [titleRole, titleCompany] = pageTitle.split(/\s+(?:at|@|[-–—|])\s+/);
+
+  const title = shortText(heading) || metaContent(dom, 'og:title', 'twitter:title') || collapse(titleRole);
+
+  const company = shortText(findByHint(dom, 'hiringOrganization', 'company')) ||
+    labelledValue(pageText, 'Company', 'Employer') ||
+    metaContent(dom, 'og:site_name') || collapse(titleCompany);
+
+  const location = shortText(findByHint(dom, 'jobLocation', 'location')) ||
+    labelledValue(pageText, 'Location', 'Job location', 'Based in');
+
+  const salaryText = labelledValue(pageText, 'Salary', 'Compensation', 'Pay') ||
+    shortText(findByHint(dom, 'baseSalary', 'salary', 'compensation')) ||
+    (pageText.match(SALARY_TEXT) || [])[0];
+
+  const description = bodyText || metaContent(dom, 'og:description', 'description');
+  const typeText = labelledValue(pageText, 'Employment type', 'Job type', 'Type') || pageText;
+
+  return {
+    title,
+    company,
+    location,
+    type: guessJobType(typeText) || guessJobType(pageText),
+    experience: guessExperience(title, pageText),
+    salary: salaryText ? parseSalary(salaryText) : null,
+    description,
+    skills: mergeSkills(findSkills(`${title}\n${description}`))
+  };
+};
+
+// Fit the extracted fields to the Job schema and note what still needs the
+// user's attention
+const finishDraft = (fields, source) => {
+  const warnings = [];
+  const draft = { ...fields };
+
+  if (draft.title.length > MAX_TITLE_LENGTH) {
+    draft.title = draft.title.slice(0, MAX_TITLE_LENGTH).trim();
+    warnings.push(`Title was shortened to ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (draft.company.length > MAX_TITLE_LENGTH) {
+    draft.company = draft.company.slice(0, MAX_TITLE_LENGTH).trim();
+    warnings.push(`Company was shortened to ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (draft.description.length > MAX_DESCRIPTION_LENGTH) {
+    const cut = draft.description.lastIndexOf(' ', MAX_DESCRIPTION_LENGTH - 1);
+    draft.description = `${draft.description.slice(0, cut > 0 ? cut : MAX_DESCRIPTION_LENGTH - 1)}…`;
+    warnings.push(`Description was shortened to ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  if (draft.applicationDeadline && draft.applicationDeadline <= Date.now()) {
+    draft.applicationDeadline = null;
+    warnings.push('The posting\'s closing date has already passed');
+  }
+  if (draft.type && !JOB_TYPES.includes(draft.type)) draft.type = null;
+  if (draft.experience && !EXPERIENCE_LEVELS.includes(draft.experience)) draft.experience = null;
+
+  const required = ['title', 'company', 'location', 'type', 'experience', 'description'];
+  const missing = required.filter(field => !draft[field]);
+
+  return { draft, source, missing, warnings };
+};
+
+// Extract a job draft from posting HTML and/or JSON-LD. Returns
+// { draft, source, missing, warnings }, or null when nothing usable was found.
+const extractJobDraft = ({ html, jsonLd }) => {
+  const structured = typeof jsonLd === 'string' ? parseJson(jsonLd) : jsonLd;
+  let postings = findJobPostings(structured);
+  let dom = null;
+
+  if (html) {
+    dom = parseDocument(String(html), { decodeEntities: true });
+
+    if (postings.length === 0) {
+      postings = DomUtils.findAll(el => el.name === 'script' &&
+        String(el.attribs.type || '').toLowerCase() === 'application/ld+json', dom.children)
+        .flatMap(script => findJobPostings(parseJson(DomUtils.textContent(script))));
+    }
+  }
+
+  if (postings.length > 0) {
+    const draft = fromJobPosting(postings[0]);
+
+    // Fill gaps in sparse JSON-LD from the page itself
+    if (dom) {
+      const fallback = fromPageHeuristics(dom);
+      Object.keys(draft).forEach(field => {
+        const empty = !draft[field] || (Array.isArray(draft[field]) && draft[field].length === 0);
+        if (empty) draft[field] = fallback[field];
+      });
+    }
+
+    return finishDraft(draft, 'json-ld');
+  }
+
+  if (!dom) return null;
+
+  const draft = fromPageHeuristics(dom);
+  if (!draft.title && !draft.description) return null;
+
+  return finishDraft(draft, 'html');
+};
+
+module.exports = { extractJobDraft, htmlToText };
@@ -0,0 +1,316 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const escapeRegex = require('./escapeRegex');
+const ErrorResponse = require('./errorResponse');
+const { parseSearchQuery, hasPositiveTerms, buildSearchFilter } = require('./jobSearch');
+const { PERIODS, parseSalary, toAnnualBase } = require('./salary');
+const { BASE_CURRENCY, isSupportedCurrency } = require('../config/currencyRates');
+const { WORK_MODES, geocodePlace, parseUtcOffset, kmToRadians } = require('./geocoder');
+
+// Shared pieces of the public job listing: filters, sorting, pagination and
+// facet counts.
+
+// Sort keys accepted in ?sort=, prefixed with "-" for descending
+const SORT_FIELDS = {
+  date: 'createdAt',
+  title: 'title',
+  company: 'company',
+  salary: 'salaryAnnual.min'
+};
+
+const DEFAULT_SORT = '-date';
+
+// Best match first; only available for full-text searches
+const RELEVANCE_SORT = 'relevance';
+
+// Case-insensitive ordering for title and company
+const COLLATION = { locale: 'en', strength: 2 };
+
+const MAX_LIMIT = 100;
+const DEFAULT_LIMIT = 20;
+
+// Radius searches, in kilometres
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
+
+// Hours either side of ?timezone= a remote job's band may start or end
+const MAX_TIMEZONE_RANGE = 12;
+
+const FACET_LIMITS = {
+  location: 10,
+  skills: 15
+};
+
+const parseAmount = (value, name) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new ErrorResponse(`${name} must be a positive number`, 400);
+  }
+  return amount;
+};
+
+// Requested salary range as annual amounts in the base currency. Takes
+// ?salaryMin= and ?salaryMax= in ?currency= per ?period= (default: base
+// currency per year), or the older ?salary=80-120 in thousands.
+const parseSalaryRange = (params) => {
+  const currency = String(params.currency || BASE_CURRENCY).toUpperCase();
+  const period = params.period || 'year';
+
+  if (!isSupportedCurrency(currency)) {
+    throw new ErrorResponse(`Unsupported currency: ${currency}`, 400);
+  }
+  if (!PERIODS.includes(period)) {
+    throw new ErrorResponse(`Invalid period. Use one of: ${PERIODS.join(', ')}`, 400);
+  }
+
+  let min = params.salaryMin ? parseAmount(params.salaryMin, 'salaryMin') : undefined;
+  let max = params.salaryMax ? parseAmount(params.salaryMax, 'salaryMax') : undefined;
+
+  if (params.salary && min === undefined && max === undefined) {
+    const parsed = parseSalary(params.salary, { currency, period });
+    if (!parsed || (parsed.min === undefined && parsed.max === undefined)) {
+      throw new ErrorResponse('Invalid salary range', 400);
+    }
+
+    const inThousands = (amount) => (amount !== undefined && amount < 1000 ? amount * 1000 : amount);
+    return {
+      min: toAnnualBase(inThousands(parsed.min), parsed.currency, 'year'),
+      max: toAnnualBase(inThousands(parsed.max), parsed.currency, 'year')
+    };
+  }
+
+  if (min !== undefined && max !== undefined && min > max) {
+    [min, max] = [max, min];
+  }
+
+  return {
+    min: toAnnualBase(min, currency, period),
+    max: toAnnualBase(max, currency, period)
+  };
+};
+
+// ?workMode=remote or a comma-separated list such as remote,hybrid
+const parseWorkModes = (param) => {
+  const modes = String(param).split(',').map(mode => mode.trim()).filter(Boolean);
+  const invalid = modes.filter(mode => !WORK_MODES.includes(mode));
+  if (modes.length === 0 || invalid.length > 0) {
+    throw new ErrorResponse(`Invalid work mode. Use one of: ${WORK_MODES.join(', ')}`, 400);
+  }
+  return modes;
+};
+
+// Jobs located within ?radius= km (default 50) of ?near=, a city or "lat,lng"
+const nearFilter = (params) => {
+  const place = geocodePlace(params.near);
+  if (!place) {
+    throw new ErrorResponse(`Unknown place: ${params.near}. Use a city name or "latitude,longitude"`, 400);
+  }
+
+  const radius = params.radius === undefined || params.radius === '' ? DEFAULT_RADIUS_KM : parseAmount(params.radius, 'radius');
+  if (radius > MAX_RADIUS_KM) {
+    throw new ErrorResponse(`radius cannot be more than ${MAX_RADIUS_KM} km`, 400);
+  }
+
+  return {
+    $geoWithin: { $centerSphere: [place.coordinates, kmToRadians(radius)] }
+  };
+};
+
+// Remote jobs that can be done from ?timezone= (an IANA zone, "UTC+2" or
+// "CET"), give or take ?timezoneRange= hours. Jobs without a band are open
+// to anywhere.
+const timezoneFilter = (params) => {
+  const offset = parseUtcOffset(params.timezone);
+  if (offset === undefined) {
+    throw new ErrorResponse(`Unknown time zone: ${params.timezone}`, 400);
+  }
+
+  const range = params.timezoneRange ? parseAmount(params.timezoneRange, 'timezoneRange') : 0;
+  if (range > MAX_TIMEZONE_RANGE) {
+    throw new ErrorResponse(`timezoneRange cannot be more than ${MAX_TIMEZONE_RANGE} hours`, 400);
+  }
+
+  return {
+    $or: [
+      { 'locationDetails.utcOffsetMin': null },
+      {
+        'locationDetails.utcOffsetMin': { $lte: offset + range },
+        'locationDetails.utcOffsetMax': { $gte: offset - range }
+      }
+    ]
+  };
+};
+
+const STATUS_FILTERS = ['open', 'closed', 'expired', 'all'];
+
+// Which postings ?status= selects. Open is the default, and still includes
+// closed postings the viewer saved or is tracking as "saved", so they don't
+// vanish from the viewer's list.
+const statusFilter = (status = 'open', viewer) => {
+  if (!STATUS_FILTERS.includes(status)) {
+    throw new ErrorResponse(`Invalid status. Use one of: ${STATUS_FILTERS.join(', ')}`, 400);
+  }
+
+  if (status === 'all') return {};
+  if (status !== 'open') return { status };
+  if (!viewer) return Job.openFilter();
+
+  return {
+    $or: [
+      Job.openFilter(),
+      { isSaved: viewer._id },
+      { _id: { $in: viewer.heldJobIds || [] } }
+    ]
+  };
+};
+
+// Translate the listing's query string into a MongoDB filter. The viewer,
+// when signed in, is { _id, heldJobIds }.
+const buildJobFilter = (params, { viewer } = {}) => {
+  const { search, jobType, location, experience } = params;
+
+  const filter = {
+    visibility: { $ne: 'private' },
+    ...statusFilter(params.status, viewer)
+  };
+
+  if (search) {
+    Object.assign(filter, buildSearchFilter(parseSearchQuery(search)));
+  }
+
+  if (jobType) filter.type = jobType;
+  if (location) filter.location = { $regex: escapeRegex(location), $options: 'i' };
+  if (experience) filter.experience = experience;
+
+  if (params.workMode) filter.workMode = { $in: parseWorkModes(params.workMode) };
+  if (params.near) filter['locationDetails.point'] = nearFilter(params);
+
+  // A time zone only narrows remote work; the status filter may already use $or
+  if (params.timezone) {
+    if (!params.workMode) filter.workMode = 'remote';
+    filter.$and = [timezoneFilter(params)];
+  }
+
+  const range = parseSalaryRange(params);
+  if (range.min !== undefined) filter['salaryAnnual.max'] = { $gte: range.min };
+  if (range.max !== undefined) filter['salaryAnnual.min'] = { $lte: range.max };
+
+  return filter;
+};
+
+// Whether ?search= turns into a ranked $text query
+const isTextSearch = (params) => !!params.search && hasPositiveTerms(parseSearchQuery(params.search));
+
+// Parse ?sort= into a field and direction (1 or -1). Text searches are
+// ranked by relevance unless another order is asked for.
+const parseSort = (param, { textSearch = false } = {}) => {
+  const value = String(param || (textSearch ? RELEVANCE_SORT : DEFAULT_SORT));
+  const descending = value.startsWith('-');
+  const key = descending ? value.slice(1) : value;
+
+  if (key === RELEVANCE_SORT) {
+    if (!textSearch) {
+      throw new ErrorResponse('Sorting by relevance needs a search term', 400);
+    }
+    return { key, field: 'score', direction: -1, relevance: true };
+  }
+
+  if (!SORT_FIELDS[key]) {
+    throw new ErrorResponse(`Invalid sort. Use one of: ${[...Object.keys(SORT_FIELDS), RELEVANCE_SORT].join(', ')}`, 400);
+  }
+
+  return { key, field: SORT_FIELDS[key], direction: descending ? -1 : 1 };
+};
+
+// Cursors are opaque to clients: the last item's sort value and id
+const encodeCursor = (sort, job) => Buffer.from(JSON.stringify({
+  s: sort.key,
+  v: job.get(sort.field) === undefined ? null : job.get(sort.field),
+  id: job._id
+})).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  // Text scores aren't stable enough to page by
+  if (sort.relevance) {
+    throw new ErrorResponse('Cursors are not supported when sorting by relevance; use page instead', 400);
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (err) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.s !== sort.key || !mongoose.isValidObjectId(decoded.id)) {
+    throw new ErrorResponse('Invalid cursor', 400);
+  }
+
+  const value = sort.field === 'createdAt' && decoded.v !== null ? new Date(decoded.v) : decoded.v;
+  return { value, id: new mongoose.Types.ObjectId(decoded.id) };
+};
+
+// Filter for the items that come after the cursor in the given order. Jobs
+// without a value for the sort field (e.g. no salary) sort as lowest.
+const afterCursor = ({ value, id }, { field, direction }) => {
+  const beyond = direction === 1 ? '$gt' : '$lt';
+  const sameValueNextId = { [field]: value, _id: { [beyond]: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [sameValueNextId, { [field]: { $ne: null } }] }
+      : sameValueNextId;
+  }
+
+  const branches = [{ [field]: { [beyond]: value } }, sameValueNextId];
+  if (direction === -1) branches.push({ [field]: null });
+
+  return { $or: branches };
+};
+
+// Parse page/limit, clamped to sane bounds
+const parsePagination = (params) => ({
+  page: Math.max(parseInt(params.page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+});
+
+// Counts per type, experience, work mode, location and skill for the jobs matching filter
+const getJobFacets = async (filter) => {
+  const countBy = (field, limit) => {
+    const stages = [
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $match: { _id: { $nin: [null, ''] } } },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+    if (limit) stages.push({ $limit: limit });
+    stages.push({ $project: { _id: 0, value: '$_id', count: 1 } });
+    return stages;
+  };
+
+  const [facets] = await Job.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        type: countBy('type'),
+        experience: countBy('experience'),
+        workMode: countBy('workMode'),
+        location: countBy('location', FACET_LIMITS.location),
+        skills: [{ $unwind: '$skills' }, ...countBy('skills', FACET_LIMITS.skills)]
+      }
+    }
+  ]);
+
+  return facets;
+};
+
+module.exports = {
+  COLLATION,
+  buildJobFilter,
+  isTextSearch,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  parsePagination,
+  getJobFacets
+};
@@ -0,0 +1,162 @@
+const escapeRegex = require('./escapeRegex');
+const escapeHtml = require('./escapeHtml');
+
+// Full-text job search: parses the search box syntax (words, "quoted
+// phrases" and -excluded terms), turns it into a $text query against the
+// job text index and highlights what matched.
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TOKENS = 20;
+const SNIPPET_LENGTH = 160;
+
+// Fields searched when a query only excludes terms and $text can't be used
+const SEARCH_FIELDS = ['title', 'company', 'description', 'skills'];
+
+// Words start where a letter or digit isn't preceded by another one
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+
+// Quotes and backslashes have meaning to $text, so they never reach it from
+// user input; control characters are dropped as well
+const clean = (text) => text
+  .replace(/["\\]/g, ' ')
+  .replace(/[\u0000-\u001f\u007f]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Split the raw query into terms, phrases and exclusions, e.g.
+// `react "remote first" -senior` → terms [react], phrases [remote first],
+// excluded [senior]
+const parseSearchQuery = (input) => {
+  const query = { terms: [], phrases: [], excluded: [] };
+  const text = String(input || '').slice(0, MAX_QUERY_LENGTH);
+  const tokenPattern = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+
+  let match;
+  let count = 0;
+  while ((match = tokenPattern.exec(text)) && count < MAX_TOKENS) {
+    const isPhrase = match[2] !== undefined;
+    const negated = isPhrase ? match[1] === '-' : match[3] === '-';
+    const value = clean(isPhrase ? match[2] : match[4].replace(/^-+/, ''));
+    if (!value) continue;
+
+    count++;
+    if (negated) {
+      query.excluded.push(value);
+    } else if (isPhrase && value.includes(' ')) {
+      query.phrases.push(value);
+    } else {
+      query.terms.push(...value.split(' '));
+    }
+  }
+
+  return query;
+};
+
+const hasPositiveTerms = (query) => query.terms.length > 0 || query.phrases.length > 0;
+
+// The $search string for a parsed query. Multi-word exclusions stay quoted
+// so the whole phrase is excluded rather than each word.
+const toTextSearch = (query) => [
+  ...query.terms,
+  ...query.phrases.map(phrase => `"${phrase}"`),
+  ...query.excluded.map(term => (term.includes(' ') ? `-"${term}"` : `-${term}`))
+].join(' ');
+
+// Filter for a parsed query. $text matches nothing without a positive term,
+// so a query that only excludes falls back to escaped regexes.
+const buildSearchFilter = (query) => {
+  if (hasPositiveTerms(query)) {
+    return { $text: { $search: toTextSearch(query) } };
+  }
+
+  if (query.excluded.length > 0) {
+    return {
+      $nor: query.excluded.flatMap(term => {
+        const pattern = new RegExp(`${WORD_START}${escapeRegex(term)}`, 'iu');
+        return SEARCH_FIELDS.map(field => ({ [field]: pattern }));
+      })
+    };
+  }
+
+  return {};
+};
+
+// Matches the query's phrases and terms, longest first. Longer terms match
+// as word prefixes to roughly follow the text index's stemming; short ones
+// only as whole words so "a" doesn't light up every article.
+const highlightPattern = (query) => {
+  const parts = [
+    ...query.phrases.map(phrase => escapeRegex(phrase).replace(/ /g, '\\s+')),
+    ...query.terms.map(term => (term.length >= 3
+      ? `${escapeRegex(term)}[\\p{L}\\p{N}]*`
+      : `${escapeRegex(term)}(?![\\p{L}\\p{N}])`))
+  ].sort((a, b) => b.length - a.length);
+
+  if (parts.length === 0) return null;
+  return new RegExp(`${WORD_START}(?:${parts.join('|')})`, 'giu');
+};
+
+// Escape the text and wrap every match in <mark>
+const markMatches = (text, pattern) => {
+  let html = '';
+  let last = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    if (!match[0]) continue;
+    html += escapeHtml(text.slice(last, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+
+  return html + escapeHtml(text.slice(last));
+};
+
+// A window of the description around the first match
+const snippet = (text, pattern) => {
+  const first = text.search(pattern);
+  let start = first > SNIPPET_LENGTH / 3 ? first - Math.floor(SNIPPET_LENGTH / 3) : 0;
+
+  // Don't start or end in the middle of a word
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < first ? space + 1 : start;
+  }
+
+  let end = Math.min(start + SNIPPET_LENGTH, text.length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > Math.max(start, first) ? space : end;
+  }
+
+  return `${start > 0 ? '… ' : ''}${text.slice(start, end).trim()}${end < text.length ? ' …' : ''}`;
+};
+
+// HTML-safe highlights for one job. Everything is escaped, so the only
+// markup in the result is <mark>.
+const highlightJob = (job, query) => {
+  const pattern = highlightPattern(query);
+  if (!pattern) return null;
+
+  const matches = (text) => {
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+  };
+
+  const description = String(job.description || '');
+
+  return {
+    title: markMatches(String(job.title || ''), pattern),
+    company: markMatches(String(job.company || ''), pattern),
+    description: markMatches(snippet(description, new RegExp(pattern.source, 'iu')), pattern),
+    skills: (job.skills || [])
+      .filter(skill => matches(skill))
+      .map(skill => markMatches(skill, pattern))
+  };
+};
+
+module.exports = {
+  parseSearchQuery,
+  hasPositiveTerms,
+  buildSearchFilter,
+  highlightJob
+};
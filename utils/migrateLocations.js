@@ -0,0 +1,64 @@
+require('dotenv').config({ path: '../.env' });
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { describeJobLocation } = require('./geocoder');
+
+// Parses free-text job locations into workMode and locationDetails (city,
+// country, coordinates and UTC offsets) using the gazetteer.
+//
+//   node migrateLocations.js              parse jobs that have no workMode yet
+//   node migrateLocations.js --recompute  parse every job again, e.g. after
+//                                         adding places to the gazetteer
+
+const BATCH_SIZE = 500;
+
+const migrateLocations = async () => {
+  const recompute = process.argv.includes('--recompute');
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Make sure the 2dsphere index exists before radius searches need it
+    await Job.createIndexes();
+
+    const query = recompute ? {} : { workMode: { $exists: false } };
+    const cursor = Job.collection.find(query, { projection: { location: 1, type: 1, workMode: 1 } });
+
+    let operations = [];
+    const counts = { placed: 0, unplaced: 0 };
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      await Job.collection.bulkWrite(operations, { ordered: false });
+      operations = [];
+    };
+
+    for await (const doc of cursor) {
+      const { workMode, locationDetails } = describeJobLocation({
+        location: doc.location,
+        type: doc.type,
+        currentWorkMode: doc.workMode
+      });
+
+      const update = locationDetails
+        ? { $set: { workMode, locationDetails } }
+        : { $set: { workMode }, $unset: { locationDetails: '' } };
+
+      operations.push({ updateOne: { filter: { _id: doc._id }, update } });
+      counts[locationDetails ? 'placed' : 'unplaced']++;
+
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+
+    await flush();
+
+    console.log('✅ Locations migrated:', counts);
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  }
+};
+
+migrateLocations();
@@ -0,0 +1,79 @@
+require('dotenv').config({ path: '../.env' });
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { parseSalary, annualizeSalary } = require('./salary');
+
+// Converts free-text job salaries ("$120,000 - $150,000") into the
+// structured { min, max, currency, period } form and fills in salaryAnnual.
+//
+//   node migrateSalaries.js              migrate text salaries
+//   node migrateSalaries.js --recompute  also refresh salaryAnnual for every
+//                                        structured salary, e.g. after
+//                                        changing CURRENCY_RATES
+
+const BATCH_SIZE = 500;
+
+const migrateSalaries = async () => {
+  const recompute = process.argv.includes('--recompute');
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Read the raw documents: text salaries don't fit the schema any more
+    const query = recompute
+      ? { salary: { $exists: true } }
+      : { $or: [{ salary: { $type: 'string' } }, { salaryMin: { $exists: true } }] };
+
+    const cursor = Job.collection.find(query, { projection: { salary: 1 } });
+
+    let operations = [];
+    const counts = { migrated: 0, withoutFigures: 0, recomputed: 0 };
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      await Job.collection.bulkWrite(operations, { ordered: false });
+      operations = [];
+    };
+
+    for await (const doc of cursor) {
+      const isText = typeof doc.salary === 'string';
+      const salary = isText ? parseSalary(doc.salary) : doc.salary;
+      const salaryAnnual = annualizeSalary(salary);
+
+      const update = { $unset: { salaryMin: '' } };
+      if (salary) {
+        update.$set = { salary };
+      } else {
+        update.$unset.salary = '';
+      }
+      if (salaryAnnual) {
+        update.$set = { ...update.$set, salaryAnnual };
+      } else {
+        update.$unset.salaryAnnual = '';
+      }
+
+      operations.push({ updateOne: { filter: { _id: doc._id }, update } });
+
+      if (!isText) {
+        counts.recomputed++;
+      } else if (salaryAnnual) {
+        counts.migrated++;
+      } else {
+        counts.withoutFigures++;
+      }
+
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+
+    await flush();
+
+    console.log('✅ Salaries migrated:', counts);
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  }
+};
+
+migrateSalaries();
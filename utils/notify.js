@@ -0,0 +1,23 @@
+const Notification = require('../models/Notification');
+
+// Add an in-app notification for one or more users. Like auditing, this must
+// never break the action that triggered it, so failures are only logged.
+const notify = async (users, { type, title, message, link, data }) => {
+  const recipients = [].concat(users).filter(Boolean);
+  if (recipients.length === 0) return;
+
+  try {
+    await Notification.insertMany(recipients.map(user => ({
+      user,
+      type,
+      title,
+      message,
+      link,
+      data
+    })));
+  } catch (err) {
+    console.error(`Notification error (${type}):`, err);
+  }
+};
+
+module.exports = notify;
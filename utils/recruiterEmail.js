@@ -0,0 +1,283 @@
+const { simpleParser } = require('mailparser');
+const { htmlToText } = require('./jobImport');
+const { normalize, normalizeCompany } = require('./companyName');
+
+// Turns a recruiter's email into a proposed tracker update: who sent it,
+// which application it is about and what status it implies.
+
+// Checked in order; the first match wins. Rejections often mention the
+// interview that came before, so unmistakable rejection sentences are
+// checked before invitations. Shorter rejection wording comes after them,
+// so an invite that mentions a missed slot still reads as an invite.
+const STATUS_PHRASES = [
+  {
+    status: 'offer',
+    phrases: [
+      'pleased to offer',
+      'happy to offer',
+      'extend an offer',
+      'extend you an offer',
+      'offer letter',
+      'job offer',
+      'offer of employment'
+    ]
+  },
+  {
+    status: 'rejected',
+    phrases: [
+      'regret to inform',
+      'not moving forward',
+      'not be moving forward',
+      'will not be proceeding',
+      'won\'t be proceeding',
+      'decided to proceed with other candidates',
+      'decided to move forward with other candidates',
+      'decided to pursue other candidates',
+      'pursue other candidates',
+      'not been selected',
+      'position has been filled'
+    ]
+  },
+  {
+    status: 'interviewing',
+    phrases: [
+      'schedule an interview',
+      'schedule a call',
+      'invite you to interview',
+      'invite you for an interview',
+      'invitation to interview',
+      'interview invitation',
+      'like to interview you',
+      'can we interview',
+      'reschedule the interview',
+      'reschedule your interview',
+      'are you available',
+      'set up a call',
+      'phone screen',
+      'next round',
+      'next step in the process',
+      'your availability',
+      'like to meet you'
+    ]
+  },
+  {
+    status: 'rejected',
+    phrases: [
+      'not selected',
+      'no longer considering',
+      'other candidates'
+    ]
+  },
+  {
+    status: 'applied',
+    phrases: [
+      'received your application',
+      'thank you for applying',
+      'thanks for applying',
+      'application has been received',
+      'application was received'
+    ]
+  }
+];
+
+const FORWARD_MARKERS = [
+  /-{2,}\s*Forwarded message\s*-{2,}/i,
+  /Begin forwarded message:/i,
+  /-{2,}\s*Original Message\s*-{2,}/i
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Free-mail domains say nothing about the company
+const GENERIC_DOMAINS = ['gmail', 'googlemail', 'outlook', 'hotmail', 'yahoo', 'icloud', 'live', 'aol', 'proton', 'protonmail'];
+
+const parseAddress = (value) => {
+  const match = String(value).match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>/);
+  if (match) return { name: match[1].trim(), address: match[2].trim().toLowerCase() };
+  return { name: '', address: String(value).trim().toLowerCase() };
+};
+
+// Pull the original sender, subject and body out of a forwarded message
+const unwrapForwarded = (text) => {
+  for (const marker of FORWARD_MARKERS) {
+    const match = text.match(marker);
+    if (!match) continue;
+
+    const forwarded = text.slice(match.index + match[0].length).replace(/^\s+/, '');
+    const [headerBlock, ...rest] = forwarded.split(/\r?\n\s*\r?\n/);
+
+    const headers = {};
+    headerBlock.split(/\r?\n/).forEach(line => {
+      const header = line.match(/^\s*(From|Subject|Date|Sent):\s*(.*)$/i);
+      if (header) headers[header[1].toLowerCase()] = header[2].trim();
+    });
+
+    if (!headers.from) continue;
+
+    const date = new Date(headers.date || headers.sent);
+
+    return {
+      from: parseAddress(headers.from),
+      subject: headers.subject,
+      date: Number.isNaN(date.getTime()) ? undefined : date,
+      text: rest.join('\n\n').trim()
+    };
+  }
+
+  return null;
+};
+
+// Parse a raw RFC 822 message (.eml contents). Forwarded messages are
+// unwrapped so the recruiter, not the forwarding user, is the sender.
+const parseRecruiterEmail = async (raw) => {
+  const parsed = await simpleParser(raw);
+
+  const text = (parsed.text || (parsed.html ? htmlToText(parsed.html) : '')).trim();
+  const sender = parsed.from && parsed.from.value[0];
+
+  const email = {
+    from: {
+      name: sender ? sender.name : '',
+      address: sender ? String(sender.address || '').toLowerCase() : ''
+    },
+    subject: (parsed.subject || '').trim(),
+    date: parsed.date,
+    text
+  };
+
+  const forwarded = unwrapForwarded(text);
+  if (forwarded) {
+    return {
+      from: forwarded.from,
+      subject: (forwarded.subject || email.subject.replace(/^(fwd?|fw):\s*/i, '')).trim(),
+      date: forwarded.date || email.date,
+      text: forwarded.text,
+      forwarded: true
+    };
+  }
+
+  return { ...email, forwarded: false };
+};
+
+// Guess the application status the message implies
+const classifyStatus = (email) => {
+  const haystack = ` ${normalize(`${email.subject} ${email.text}`)} `;
+
+  for (const { status, phrases } of STATUS_PHRASES) {
+    const phrase = phrases.find(candidate => haystack.includes(` ${normalize(candidate)} `));
+    if (phrase) return { status, phrase };
+  }
+
+  return null;
+};
+
+const toCalendarDay = (year, monthIndex, day) => {
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  return date.getUTCMonth() === monthIndex ? date : null;
+};
+
+// Find an interview date and time in the message. Dates are returned as
+// UTC midnight of the calendar day, which is how interviewDate is stored.
+const extractInterviewDate = (text, receivedAt = new Date()) => {
+  const reference = new Date(receivedAt);
+  const lower = String(text).toLowerCase();
+  let date = null;
+
+  const iso = lower.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  const monthFirst = lower.match(new RegExp(`\\b(${MONTHS.join('|')})[a-z]*\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`));
+  const dayFirst = lower.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTHS.join('|')})[a-z]*\\.?(?:,?\\s+(\\d{4}))?\\b`));
+  const numeric = lower.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/);
+  const weekday = lower.match(new RegExp(`\\b(?:on|this|next)\\s+(${WEEKDAYS.join('|')})\\b`));
+
+  // Month names without a year mean the next such day
+  const withYear = (monthIndex, day, year) => {
+    if (year) return toCalendarDay(parseInt(year, 10), monthIndex, day);
+
+    const thisYear = toCalendarDay(reference.getUTCFullYear(), monthIndex, day);
+    if (thisYear && thisYear.getTime() >= reference.getTime() - 24 * 60 * 60 * 1000) return thisYear;
+    return toCalendarDay(reference.getUTCFullYear() + 1, monthIndex, day);
+  };
+
+  if (iso) {
+    date = toCalendarDay(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+  } else if (monthFirst) {
+    date = withYear(MONTHS.indexOf(monthFirst[1]), parseInt(monthFirst[2], 10), monthFirst[3]);
+  } else if (dayFirst) {
+    date = withYear(MONTHS.indexOf(dayFirst[2]), parseInt(dayFirst[1], 10), dayFirst[3]);
+  } else if (numeric) {
+    // US style month/day/year
+    date = toCalendarDay(parseInt(numeric[3], 10), parseInt(numeric[1], 10) - 1, parseInt(numeric[2], 10));
+  } else if (/\btomorrow\b/.test(lower)) {
+    date = toCalendarDay(reference.getUTCFullYear(), reference.getUTCMonth(), reference.getUTCDate() + 1);
+  } else if (weekday) {
+    const target = WEEKDAYS.indexOf(weekday[1]);
+    const ahead = ((target - reference.getUTCDay() + 7) % 7) || 7;
+    date = new Date(Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth(), reference.getUTCDate() + ahead));
+  }
+
+  if (!date) return null;
+
+  const time = lower.match(/(?:\bat|@)\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?/) ||
+    lower.match(/\b(\d{1,2}):(\d{2})\s*(am|pm|a\.m\.|p\.m\.)?/) ||
+    lower.match(/\b(\d{1,2})\s*(am|pm)\b/);
+
+  let interviewTime;
+  if (time) {
+    const [, hour, minute = '00', meridiem] = time.length === 4 ? time : [time[0], time[1], undefined, time[2]];
+    const maxHour = meridiem ? 12 : 23;
+
+    if (parseInt(hour, 10) <= maxHour && parseInt(minute, 10) <= 59) {
+      interviewTime = `${hour}:${minute}${meridiem ? ` ${meridiem.replace(/\./g, '').toUpperCase()}` : ''}`;
+    }
+  }
+
+  return { date, time: interviewTime };
+};
+
+// Score how likely the message is about each application. A company match
+// is required; the job title breaks ties between roles at the same company.
+const matchApplications = (email, applications) => {
+  const domainParts = (email.from.address.split('@')[1] || '').split('.');
+  const senderDomain = domainParts.length > 1 ? domainParts[domainParts.length - 2] : '';
+  const sender = normalize(`${email.from.name} ${GENERIC_DOMAINS.includes(senderDomain) ? '' : senderDomain}`);
+  const subject = ` ${normalize(email.subject)} `;
+  const body = ` ${normalize(email.text)} `;
+
+  return applications
+    .map(application => {
+      const job = application.job;
+      if (!job) return null;
+
+      const company = normalizeCompany(job.company);
+      if (!company) return null;
+
+      const compactCompany = company.replace(/ /g, '');
+      let score = 0;
+
+      if (` ${sender} `.includes(` ${company} `) || sender.replace(/ /g, '').includes(compactCompany)) score += 3;
+      if (subject.includes(` ${company} `)) score += 2;
+      if (body.includes(` ${company} `)) score += 1;
+      if (score === 0) return null;
+
+      const title = normalize(job.title);
+      if (title && (subject.includes(` ${title} `) || body.includes(` ${title} `))) {
+        score += 2;
+      } else {
+        const words = title.split(' ').filter(word => word.length > 2);
+        const found = words.filter(word => subject.includes(` ${word} `) || body.includes(` ${word} `));
+        if (words.length > 0 && found.length / words.length >= 0.5) score += 1;
+      }
+
+      return { application, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  parseRecruiterEmail,
+  classifyStatus,
+  extractInterviewDate,
+  matchApplications
+};
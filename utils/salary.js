@@ -0,0 +1,217 @@
+const ErrorResponse = require('./errorResponse');
+const { BASE_CURRENCY, getRate, isSupportedCurrency } = require('../config/currencyRates');
+
+// Structured salaries: { min, max, currency, period, text }. Parses the free
+// text postings used to carry ("$120,000 - $150,000", "80k-95k EUR") and
+// converts figures to an annual amount in the base currency so salaries in
+// different currencies and pay periods can be compared.
+
+const PERIODS = ['hour', 'month', 'year'];
+
+// Full-time hours in a year: 40 hours × 52 weeks
+const PERIODS_PER_YEAR = { hour: 2080, month: 12, year: 1 };
+
+const MAX_TEXT_LENGTH = 100;
+
+// Checked before the bare "$", which means US dollars
+const CURRENCY_SYMBOLS = [
+  [/(?:CA|C)\$/i, 'CAD'],
+  [/AU?\$/i, 'AUD'],
+  [/NZ\$/i, 'NZD'],
+  [/S\$/i, 'SGD'],
+  [/R\$/i, 'BRL'],
+  [/\$/, 'USD'],
+  [/€/, 'EUR'],
+  [/£/, 'GBP'],
+  [/¥/, 'JPY'],
+  [/₹/, 'INR']
+];
+
+const PERIOD_PATTERNS = {
+  hour: /\b(?:hourly|hours?|hrs?|ph)\b|\/\s*h\b/,
+  month: /\b(?:monthly|months?|mo|pcm)\b|\/\s*m\b/,
+  year: /\b(?:yearly|years?|yrs?|annual(?:ly)?|annum|pa|p\.a)\b|\/\s*y\b/
+};
+
+// Thousands may be grouped with commas, dots, apostrophes or non-breaking
+// spaces ("120,000", "120.000"); a k or m suffix multiplies
+const NUMBER_PATTERN = /(\d{1,3}(?:[,.'\u00a0\u202f]\d{3})+(?!\d)|\d+(?:\.\d+)?)\s*([km])?(?![a-z])/gi;
+
+const MULTIPLIERS = { k: 1000, m: 1000000 };
+
+const detectCurrency = (text) => {
+  const code = (text.match(/\b[a-z]{3}\b/gi) || []).find(isSupportedCurrency);
+  if (code) return code.toUpperCase();
+
+  const symbol = CURRENCY_SYMBOLS.find(([pattern]) => pattern.test(text));
+  return symbol ? symbol[1] : null;
+};
+
+const detectPeriod = (text) => {
+  const lower = text.toLowerCase();
+  return PERIODS.find(period => PERIOD_PATTERNS[period].test(lower)) || null;
+};
+
+// Without a stated period, guess from the size of the figure in the base
+// currency: nobody earns 40 a year or 90,000 an hour
+const guessPeriod = (amount, currency) => {
+  const value = amount * (getRate(currency) || 1);
+  if (value < 500) return 'hour';
+  if (value < 20000) return 'month';
+  return 'year';
+};
+
+// Parse salary text into { min, max, currency, period, text }. Text without
+// any figures (e.g. "Competitive") keeps only the text.
+const parseSalary = (input, defaults = {}) => {
+  const text = String(input || '').trim().slice(0, MAX_TEXT_LENGTH);
+  if (!text) return null;
+
+  const numbers = [...text.matchAll(NUMBER_PATTERN)]
+    .slice(0, 2)
+    .map(match => ({
+      value: parseFloat(match[1].replace(/[,'\u00a0\u202f]/g, '').replace(/\.(?=\d{3}(?:\D|$))/g, '')),
+      multiplier: match[2] ? MULTIPLIERS[match[2].toLowerCase()] : 1,
+      index: match.index,
+      end: match.index + match[0].length
+    }));
+
+  if (numbers.length === 0) return { text };
+
+  // "80-95k" means 80k to 95k
+  if (numbers.length === 2 && numbers[0].multiplier === 1 && numbers[1].multiplier > 1 &&
+      numbers[0].value <= numbers[1].value) {
+    numbers[0].multiplier = numbers[1].multiplier;
+  }
+
+  const amounts = numbers.map(number => Math.round(number.value * number.multiplier * 100) / 100);
+  const currency = detectCurrency(text) || defaults.currency || BASE_CURRENCY;
+
+  let min = amounts[0];
+  let max = amounts.length > 1 ? amounts[1] : amounts[0];
+
+  if (amounts.length === 1) {
+    const before = text.slice(0, numbers[0].index).toLowerCase();
+    const after = text.slice(numbers[0].end);
+    if (/\b(?:up to|upto|max(?:imum)?|under)\s*\S*\s*$/.test(before)) {
+      min = undefined;
+    } else if (/^\s*\+/.test(after) || /\b(?:from|min(?:imum)?|at least|starting(?: at)?)\s*\S*\s*$/.test(before)) {
+      max = undefined;
+    }
+  } else if (min > max) {
+    [min, max] = [max, min];
+  }
+
+  return {
+    min,
+    max,
+    currency,
+    period: detectPeriod(text) || defaults.period || guessPeriod(max !== undefined ? max : min, currency),
+    text
+  };
+};
+
+const toAmount = (value, field) => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new ErrorResponse(`Salary ${field} must be a positive number`, 400);
+  }
+  return amount;
+};
+
+// Turn request input into a salary for the Job model. Strings are parsed,
+// objects are validated; undefined leaves the salary alone and null or an
+// empty string clears it.
+const normalizeSalary = (input) => {
+  if (input === undefined) return undefined;
+  if (input === null || input === '') return null;
+
+  if (typeof input === 'string') return parseSalary(input);
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new ErrorResponse('Salary must be text or an object with min, max, currency and period', 400);
+  }
+
+  const min = toAmount(input.min, 'min');
+  const max = toAmount(input.max, 'max');
+  const currency = String(input.currency || BASE_CURRENCY).toUpperCase();
+  const period = input.period || 'year';
+
+  if (min !== undefined && max !== undefined && min > max) {
+    throw new ErrorResponse('Salary min cannot be greater than max', 400);
+  }
+  if (!isSupportedCurrency(currency)) {
+    throw new ErrorResponse(`Unsupported salary currency: ${currency}`, 400);
+  }
+  if (!PERIODS.includes(period)) {
+    throw new ErrorResponse(`Salary period must be one of: ${PERIODS.join(', ')}`, 400);
+  }
+
+  const salary = { min, max, currency, period };
+  if (input.text) salary.text = String(input.text).trim().slice(0, MAX_TEXT_LENGTH);
+
+  return salary;
+};
+
+// An amount per period in some currency, as a yearly amount in the base
+// currency. Undefined for currencies missing from the rate table.
+const toAnnualBase = (amount, currency = BASE_CURRENCY, period = 'year') => {
+  const rate = getRate(currency);
+  if (amount === undefined || amount === null || !rate || !PERIODS_PER_YEAR[period]) return undefined;
+  return Math.round(amount * PERIODS_PER_YEAR[period] * rate);
+};
+
+// Annual min and max in the base currency. An open-ended range ("up to
+// 100k", "80k+") uses its one figure for both ends.
+const annualizeSalary = (salary) => {
+  if (!salary) return null;
+
+  const min = toAnnualBase(salary.min, salary.currency, salary.period);
+  const max = toAnnualBase(salary.max, salary.currency, salary.period);
+  if (min === undefined && max === undefined) return null;
+
+  return {
+    min: min !== undefined ? min : max,
+    max: max !== undefined ? max : min
+  };
+};
+
+// Human-readable salary, e.g. "€80,000 – €95,000 / year"
+const formatSalary = (salary) => {
+  if (!salary) return '';
+
+  const hasMin = salary.min !== undefined && salary.min !== null;
+  const hasMax = salary.max !== undefined && salary.max !== null;
+  if (!hasMin && !hasMax) return salary.text || '';
+
+  let format;
+  try {
+    format = new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: salary.currency || BASE_CURRENCY,
+      maximumFractionDigits: salary.period === 'hour' ? 2 : 0
+    }).format;
+  } catch (err) {
+    format = (amount) => `${salary.currency} ${amount.toLocaleString('en-US')}`;
+  }
+
+  let amount;
+  if (hasMin && hasMax) {
+    amount = salary.min === salary.max ? format(salary.min) : `${format(salary.min)} – ${format(salary.max)}`;
+  } else {
+    amount = hasMin ? `${format(salary.min)}+` : `Up to ${format(salary.max)}`;
+  }
+
+  return `${amount} / ${salary.period || 'year'}`;
+};
+
+module.exports = {
+  PERIODS,
+  parseSalary,
+  normalizeSalary,
+  toAnnualBase,
+  annualizeSalary,
+  formatSalary
+};
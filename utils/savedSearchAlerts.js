@@ -0,0 +1,116 @@
+const SavedSearch = require('../models/SavedSearch');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const notify = require('./notify');
+const { sendEmail } = require('./email');
+const ErrorResponse = require('./errorResponse');
+const { buildJobFilter } = require('./jobQuery');
+
+const BATCH_SIZE = 100;
+
+// Jobs listed in one alert; the rest are only counted
+const MAX_ALERT_JOBS = 5;
+
+// Jobs posted by someone else since the search's last alert
+const findNewMatches = async (search, until) => {
+  const filter = {
+    ...buildJobFilter(search.queryParams()),
+    postedBy: { $ne: search.user },
+    createdAt: { $gt: search.lastAlertedAt || search.createdAt, $lte: until }
+  };
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter)
+      .select('title company location')
+      .sort('-createdAt')
+      .limit(MAX_ALERT_JOBS),
+    Job.countDocuments(filter)
+  ]);
+
+  return { jobs, total };
+};
+
+const sendAlert = async (search, user, { jobs, total }) => {
+  const { channel } = search.alerts;
+  const link = `/saved-searches/${search._id}`;
+
+  if (channel === 'in_app' || channel === 'both') {
+    await notify(user._id, {
+      type: 'saved_search_match',
+      title: `${total} new ${total === 1 ? 'job' : 'jobs'} for "${search.name}"`,
+      message: jobs.map(job => `${job.title} at ${job.company}`).join(', '),
+      link,
+      data: { savedSearch: search._id, jobs: jobs.map(job => job._id), total }
+    });
+  }
+
+  if ((channel === 'email' || channel === 'both') && user.notificationPreferences?.searchAlerts !== false) {
+    await sendEmail('savedSearchAlert', {
+      to: user.email,
+      data: {
+        name: user.name,
+        searchName: search.name,
+        jobs: jobs.map(job => ({ title: job.title, company: job.company, location: job.location })),
+        total,
+        searchUrl: `${process.env.FRONTEND_URL}${link}`
+      }
+    });
+  }
+};
+
+// Give a claimed run back so the next one retries it
+const releaseClaim = (search, previous) => SavedSearch.updateOne(
+  { _id: search._id, nextAlertAt: search.nextAlertAt },
+  { $set: previous }
+);
+
+// Run every saved search whose alert is due against the jobs created since
+// its last alert, and tell its owner about any matches
+const sendSavedSearchAlerts = async () => {
+  const now = new Date();
+
+  let searches;
+  do {
+    searches = await SavedSearch.find({ nextAlertAt: { $lte: now } })
+      .sort('nextAlertAt')
+      .limit(BATCH_SIZE);
+
+    const users = await User.find({
+      _id: { $in: searches.map(search => search.user) },
+      suspended: { $ne: true },
+      deletionScheduledAt: null
+    }).select('name email notificationPreferences');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    for (const search of searches) {
+      // Claim this run so other instances skip it
+      const previous = { nextAlertAt: search.nextAlertAt, lastAlertedAt: search.lastAlertedAt };
+      search.scheduleNextAlert(now);
+      const claimed = await SavedSearch.updateOne(
+        { _id: search._id, nextAlertAt: previous.nextAlertAt },
+        { $set: { nextAlertAt: search.nextAlertAt, lastAlertedAt: now } }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      const user = usersById.get(search.user.toString());
+      if (!user) continue;
+
+      search.lastAlertedAt = previous.lastAlertedAt;
+
+      try {
+        const matches = await findNewMatches(search, now);
+        if (matches.total > 0) await sendAlert(search, user, matches);
+      } catch (err) {
+        // Anything but a query that no longer parses (e.g. after a currency
+        // was dropped) is a database failure; keep the matches for next time
+        if (!(err instanceof ErrorResponse)) {
+          await releaseClaim(search, previous);
+          throw err;
+        }
+        console.error(`Saved search alert error (${search._id}):`, err.message);
+      }
+    }
+  } while (searches.length === BATCH_SIZE);
+};
+
+module.exports = { sendSavedSearchAlerts };
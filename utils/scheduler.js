@@ -0,0 +1,32 @@
+// Minimal in-process scheduler for periodic background tasks.
+// A run is skipped while the previous one is still going, and failures are
+// logged rather than crashing the server. Tasks must be safe to run on
+// several instances at once.
+
+const runEvery = (name, intervalMs, task) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await task();
+    } catch (err) {
+      console.error(`❌ Background task "${name}" failed:`, err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for background work
+  timer.unref();
+
+  // Kick off the first run without waiting a full interval
+  setImmediate(run);
+
+  return timer;
+};
+
+module.exports = { runEvery };
@@ -0,0 +1,5 @@
+// Lookup key for a skill name or alias, so "Node.js", "NodeJS" and "node js"
+// are the same skill
+const skillKey = (text) => String(text).toLowerCase().replace(/[\s._-]+/g, '');
+
+module.exports = skillKey;
@@ -0,0 +1,147 @@
+const Skill = require('../models/Skill');
+const escapeRegex = require('./escapeRegex');
+const skillKey = require('./skillKey');
+const { DEFAULT_SKILLS } = require('../config/skills');
+
+// Skill names are normalized against the taxonomy so "Node", "NodeJS" and
+// "Node.js" are stored, matched and counted as one skill. Skills the
+// taxonomy doesn't know are kept as written.
+
+// How long a loaded taxonomy is trusted before it is read again, so edits
+// made through another instance show up
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Names that are single plain words, like "React", "Express", "REST" or
+// "Node", are often ordinary words too, so they only count when written
+// as the skill is ("React", not "react quickly"). Capitalised ones also
+// don't count at the start of a sentence ("Express yourself"). Anything
+// that can't be mistaken for prose, such as "Node.js", "PostgreSQL" or
+// "Ruby on Rails", matches in any case, and so do soft skills, which are
+// prose to begin with.
+const ACRONYM = /^[A-Z]+$/;
+const PLAIN_WORD = /^[A-Z]?[a-z]+$/;
+
+const namesPattern = (names, { flags = '', notAfter = '' } = {}) => new RegExp(
+  `(?<![\\w+#.]${notAfter})(?:${names.map(escapeRegex).join('|')})(?:\\.?[jJ][sS])?(?![\\w+#])`,
+  flags
+);
+
+// A test for a skill's name or any alias appearing as a whole word
+const skillPattern = (entry) => {
+  const names = [entry.name, ...(entry.aliases || [])];
+  const soft = entry.category === 'soft';
+  const acronyms = soft ? [] : names.filter(name => ACRONYM.test(name));
+  const words = soft ? [] : names.filter(name => PLAIN_WORD.test(name));
+  const others = names.filter(name => !acronyms.includes(name) && !words.includes(name));
+
+  const patterns = [
+    acronyms.length > 0 && namesPattern(acronyms),
+    words.length > 0 && namesPattern(words, { notAfter: '|[.!?]\\s+' }),
+    others.length > 0 && namesPattern(others, { flags: 'i' })
+  ].filter(Boolean);
+
+  return { test: (text) => patterns.some(pattern => pattern.test(text)) };
+};
+
+// Lookup structures for a list of { name, category, aliases, related }
+// entries, where related holds canonical names
+const buildSkillIndex = (entries) => {
+  const byKey = new Map();
+
+  entries.forEach(entry => {
+    [entry.name, ...(entry.aliases || [])].forEach(name => {
+      const key = skillKey(name);
+      if (key && !byKey.has(key)) byKey.set(key, entry);
+    });
+  });
+
+  return {
+    entries,
+    byKey,
+    patterns: entries.map(entry => [entry, skillPattern(entry)])
+  };
+};
+
+const DEFAULT_INDEX = buildSkillIndex(DEFAULT_SKILLS);
+
+// The taxonomy entry for a skill name or alias, if there is one
+const lookupSkill = (skill, index = DEFAULT_INDEX) => index.byKey.get(skillKey(skill));
+
+// Canonical names for a list of skills, without duplicates
+const canonicalizeSkills = (skills, index = DEFAULT_INDEX) => {
+  const seen = new Set();
+
+  return skills.reduce((result, skill) => {
+    const entry = lookupSkill(skill, index);
+    const name = entry ? entry.name : skill;
+    const key = skillKey(name);
+
+    if (!seen.has(key)) {
+      seen.add(key);
+      result.push(name);
+    }
+    return result;
+  }, []);
+};
+
+// Skills mentioned anywhere in the text, in taxonomy order. Soft skills
+// are left out unless asked for.
+const findSkills = (text, { index = DEFAULT_INDEX, includeSoft = false } = {}) => {
+  const haystack = String(text || '');
+  return index.patterns
+    .filter(([entry, pattern]) => (includeSoft || entry.category !== 'soft') && pattern.test(haystack))
+    .map(([entry]) => entry.name);
+};
+
+// Skills from request input, which may be an array or a comma-separated
+// string. Undefined for anything else.
+const normalizeSkills = (skills) => {
+  if (typeof skills === 'string') {
+    return skills.split(',').map(skill => skill.trim()).filter(skill => skill);
+  }
+  if (Array.isArray(skills)) {
+    return skills.map(skill => typeof skill === 'string' ? skill.trim() : skill).filter(skill => skill);
+  }
+  return undefined;
+};
+
+let cache = null;
+
+// The taxonomy as stored, or the built-in defaults until one is seeded
+const getSkillIndex = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.index;
+
+  const skills = await Skill.find().populate('related', 'name').lean();
+  const index = skills.length === 0
+    ? DEFAULT_INDEX
+    : buildSkillIndex(skills.map(skill => ({
+      ...skill,
+      related: skill.related.filter(Boolean).map(related => related.name)
+    })));
+
+  cache = { index, loadedAt: Date.now() };
+  return index;
+};
+
+// Forget the loaded taxonomy after it changes
+const clearSkillIndex = () => {
+  cache = null;
+};
+
+// Request input parsed and mapped onto the taxonomy. Undefined when the
+// input isn't a list of skills.
+const canonicalSkillsFromInput = async (input) => {
+  const skills = normalizeSkills(input);
+  return skills && canonicalizeSkills(skills, await getSkillIndex());
+};
+
+module.exports = {
+  buildSkillIndex,
+  lookupSkill,
+  canonicalizeSkills,
+  findSkills,
+  normalizeSkills,
+  getSkillIndex,
+  clearSkillIndex,
+  canonicalSkillsFromInput
+};
@@ -0,0 +1,83 @@
+// Small helpers for working with IANA time zones using the built-in Intl API
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Calendar fields of an instant as seen in the zone. weekday is 0 for Sunday.
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+
+  return {
+    year: parseInt(get('year'), 10),
+    month: parseInt(get('month'), 10),
+    day: parseInt(get('day'), 10),
+    hour: parseInt(get('hour'), 10),
+    minute: parseInt(get('minute'), 10),
+    second: parseInt(get('second'), 10),
+    weekday: WEEKDAYS.indexOf(get('weekday'))
+  };
+};
+
+// Offset of the zone from UTC at the given instant, in milliseconds
+const getOffsetMs = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Convert a wall-clock time in a zone to the matching instant
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Guess with the offset at the wall-clock time, then correct once in case
+  // the guess landed on the other side of a DST change
+  let instant = wallClock - getOffsetMs(new Date(wallClock), timeZone);
+  instant = wallClock - getOffsetMs(new Date(instant), timeZone);
+
+  return new Date(instant);
+};
+
+// Human readable date and time in the given zone, e.g. "Tue, Oct 20, 2026, 2:30 PM GMT+2"
+const formatInTimeZone = (date, timeZone, options = {}) =>
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+    ...options
+  }).format(date);
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMs,
+  zonedTimeToUtc,
+  formatInTimeZone
+};
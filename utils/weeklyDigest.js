@@ -0,0 +1,148 @@
+const User = require('../models/User');
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const escapeRegex = require('./escapeRegex');
+const { sendEmail } = require('./email');
+const { getZonedParts, formatInTimeZone } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Digests go out on Monday morning in the user's time zone
+const DIGEST_WEEKDAY = 1;
+const DIGEST_HOUR = 8;
+
+const MAX_MATCHING_JOBS = 5;
+
+// At most one digest per week, even if the scheduler runs many times
+const MIN_DIGEST_GAP_MS = 6 * DAY_MS;
+
+// The user fields buildDigest and the sender read
+const DIGEST_USER_FIELDS = 'name email skills timezone notificationPreferences digestLastSentAt';
+
+const describeJob = (app) => ({
+  jobTitle: app.job?.title || 'Unknown Position',
+  company: app.job?.company || 'Unknown Company'
+});
+
+// Collect the past week's activity for one user. Returns null when there is
+// nothing worth sending.
+const buildDigest = async (user) => {
+  const now = Date.now();
+  const weekAgo = new Date(now - 7 * DAY_MS);
+  const staleDays = user.notificationPreferences?.staleApplicationDays || 14;
+
+  const [applicationsSent, changed, upcomingInterviews, staleApplications] = await Promise.all([
+    Application.find({
+      user: user._id,
+      appliedDate: { $gte: weekAgo }
+    }).populate('job', 'title company'),
+    Application.find({
+      user: user._id,
+      'statusHistory.changedAt': { $gte: weekAgo }
+    }).populate('job', 'title company'),
+    Application.findUpcomingInterviews(user._id, 7),
+    Application.find({
+      user: user._id,
+      status: 'applied',
+      appliedDate: { $lte: new Date(now - staleDays * DAY_MS) },
+      responseDate: null
+    }).populate('job', 'title company')
+  ]);
+
+  // Status changes this week, leaving out the starting status, which is
+  // dated at creation. Applications made before the history was kept start
+  // with their first change instead.
+  const statusChanges = changed.flatMap(app =>
+    app.statusHistory
+      .filter(entry => entry.changedAt > app.createdAt && entry.changedAt >= weekAgo)
+      .map(entry => ({ ...describeJob(app), status: entry.status }))
+  );
+
+  let matchingJobs = [];
+  if (user.skills && user.skills.length > 0) {
+    matchingJobs = await Job.find({
+      visibility: { $ne: 'private' },
+      ...Job.openFilter(),
+      postedBy: { $ne: user._id },
+      createdAt: { $gte: weekAgo },
+      skills: { $in: user.skills.map(skill => new RegExp(`^${escapeRegex(skill)}$`, 'i')) }
+    })
+      .sort('-createdAt')
+      .limit(MAX_MATCHING_JOBS);
+  }
+
+  const digest = {
+    name: user.name,
+    applicationsSent: applicationsSent.map(describeJob),
+    statusChanges,
+    upcomingInterviews: upcomingInterviews.map(app => ({
+      ...describeJob(app),
+      // interviewDate holds the calendar day, so read it back in UTC
+      when: formatInTimeZone(app.interviewDate, 'UTC', {
+        hour: undefined,
+        minute: undefined,
+        timeZoneName: undefined
+      }) + (app.interviewTime ? ` ${app.interviewTime}` : '')
+    })),
+    staleApplications: staleApplications.map(app => ({
+      ...describeJob(app),
+      days: Math.floor((now - app.appliedDate.getTime()) / DAY_MS)
+    })),
+    staleDays,
+    matchingJobs: matchingJobs.map(job => ({
+      title: job.title,
+      company: job.company,
+      location: job.location
+    })),
+    dashboardUrl: `${process.env.FRONTEND_URL}/dashboard`
+  };
+
+  const isEmpty = ['applicationsSent', 'statusChanges', 'upcomingInterviews', 'staleApplications', 'matchingJobs']
+    .every(key => digest[key].length === 0);
+
+  return isEmpty ? null : digest;
+};
+
+// Is it digest time for this user in their own time zone?
+const isDigestDue = (user, now) => {
+  const local = getZonedParts(now, user.timezone || 'UTC');
+  return local.weekday === DIGEST_WEEKDAY && local.hour >= DIGEST_HOUR;
+};
+
+// Send the weekly digest to every opted-in user whose Monday morning it is.
+// Users are streamed with only the fields the digest needs, and those who
+// had one this week are left out by the query.
+const sendWeeklyDigests = async () => {
+  const now = new Date();
+
+  const users = User.find({
+    'notificationPreferences.weeklyDigest': true,
+    suspended: { $ne: true },
+    deletionScheduledAt: null,
+    $or: [
+      { digestLastSentAt: null },
+      { digestLastSentAt: { $lt: new Date(now - MIN_DIGEST_GAP_MS) } }
+    ]
+  })
+    .select(DIGEST_USER_FIELDS)
+    .lean()
+    .cursor();
+
+  for await (const user of users) {
+    if (!isDigestDue(user, now)) continue;
+
+    // Claim this week's digest so other instances skip it
+    const claimed = await User.updateOne(
+      { _id: user._id, digestLastSentAt: user.digestLastSentAt || null },
+      { $set: { digestLastSentAt: now } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    const digest = await buildDigest(user);
+    if (!digest) continue;
+
+    await sendEmail('weeklyDigest', { to: user.email, data: digest });
+  }
+};
+
+module.exports = { buildDigest, sendWeeklyDigests };